@@ -7,8 +7,18 @@
 // IndexedDB Database Layer (Unlimited Storage)
 // ================================
 const DB_NAME = 'PhotoReportAppDB';
-const DB_VERSION = 1;
+const DB_VERSION = 8;
 const STORE_NAME = 'reports';
+const PROFILES_STORE = 'profiles';
+const BRANDINGS_STORE = 'brandings';
+const VERSIONS_STORE = 'versions';
+const DRAFTS_STORE = 'drafts';
+const SUMMARIES_STORE = 'reportSummaries';
+const PHOTOS_STORE = 'photos';
+
+// Stores from versions 4-6 that held base64 images; migrated into PHOTOS_STORE in version 7
+const LEGACY_VERSION_IMAGES_STORE = 'versionImages';
+const LEGACY_DRAFT_PHOTOS_STORE = 'draftPhotos';
 
 let db = null;
 
@@ -21,37 +31,343 @@ async function initDatabase() {
             reject(request.error);
         };
 
-        request.onsuccess = () => {
+        request.onsuccess = async () => {
             db = request.result;
+            try {
+                await rekeyLegacyPhotos();
+            } catch (error) {
+                console.warn('Could not rekey migrated images:', error);
+            }
             resolve(db);
         };
 
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
+            const transaction = event.target.transaction;
+
             if (!database.objectStoreNames.contains(STORE_NAME)) {
                 const store = database.createObjectStore(STORE_NAME, { keyPath: 'id' });
                 store.createIndex('savedAt', 'savedAt', { unique: false });
             }
+            if (!database.objectStoreNames.contains(PROFILES_STORE)) {
+                database.createObjectStore(PROFILES_STORE, { keyPath: 'id' });
+            }
+            if (!database.objectStoreNames.contains(BRANDINGS_STORE)) {
+                database.createObjectStore(BRANDINGS_STORE, { keyPath: 'id' });
+            }
+            if (!database.objectStoreNames.contains(VERSIONS_STORE)) {
+                const versions = database.createObjectStore(VERSIONS_STORE, { keyPath: 'id' });
+                versions.createIndex('reportId', 'reportId', { unique: false });
+            }
+            if (!database.objectStoreNames.contains(DRAFTS_STORE)) {
+                database.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
+            }
+            if (!database.objectStoreNames.contains(SUMMARIES_STORE)) {
+                database.createObjectStore(SUMMARIES_STORE, { keyPath: 'id' });
+
+                // Summaries for reports saved before this store existed; thumbnails are generated later
+                transaction.objectStore(STORE_NAME).openCursor().onsuccess = (cursorEvent) => {
+                    const cursor = cursorEvent.target.result;
+                    if (!cursor) return;
+                    transaction.objectStore(SUMMARIES_STORE).put(buildReportSummary(cursor.value, null));
+                    cursor.continue();
+                };
+            }
+            if (!database.objectStoreNames.contains(PHOTOS_STORE)) {
+                const photos = database.createObjectStore(PHOTOS_STORE, { keyPath: 'key' });
+                photos.createIndex('reportId', 'reportId', { unique: false });
+                migrateImagesToBlobs(database, transaction);
+            }
+            if (event.oldVersion < 8) {
+                indexImageKeys(database, transaction, event.oldVersion);
+                // Images of the version 7 migration waiting for rekeyLegacyPhotos
+                transaction.objectStore(PHOTOS_STORE).createIndex('legacy', 'legacy', { unique: false });
+            }
+        };
+    });
+}
+
+/**
+ * Version 7 migration: move base64 images out of reports, version snapshots and
+ * drafts into the photos store as Blobs, keyed by the same content key.
+ * Runs inside the upgrade transaction, one record at a time. The upgrade cannot
+ * wait for SubtleCrypto, so the images keep their data URL key and are marked
+ * legacy until rekeyLegacyPhotos gives them the key of an import.
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ */
+function migrateImagesToBlobs(database, transaction) {
+    const photoStore = transaction.objectStore(PHOTOS_STORE);
+    const storeImage = (dataUrl, reportId) => {
+        const key = hashImageData(dataUrl);
+        photoStore.put({ key: key, reportId: reportId, blob: decodeDataURL(dataUrl), legacy: 1 });
+        return key;
+    };
+    const migratePhotos = (photos, images, reportId) => photos.map(photo => {
+        const image = images(photo);
+        if (!image || !image.imageData) return photo;
+
+        const { imageData, originalImageData, ...meta } = photo;
+        return {
+            ...meta,
+            imageKey: storeImage(image.imageData, reportId),
+            originalImageKey: image.originalImageData ? storeImage(image.originalImageData, reportId) : null
+        };
+    });
+
+    transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const report = cursor.value;
+        report.photos = migratePhotos(report.photos, photo => photo, report.id);
+        cursor.update(withImageKeys(report, report.photos));
+        cursor.continue();
+    };
+
+    // Snapshots already reference their images by content key
+    if (database.objectStoreNames.contains(LEGACY_VERSION_IMAGES_STORE)) {
+        const versionsRequest = transaction.objectStore(VERSIONS_STORE).getAll();
+        versionsRequest.onsuccess = () => {
+            const owners = {};
+            versionsRequest.result.forEach(version => version.report.photos.forEach(photo => {
+                owners[photo.imageKey] = version.reportId;
+                if (photo.originalImageKey) owners[photo.originalImageKey] = version.reportId;
+            }));
+
+            transaction.objectStore(LEGACY_VERSION_IMAGES_STORE).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    database.deleteObjectStore(LEGACY_VERSION_IMAGES_STORE);
+                    return;
+                }
+                photoStore.put({ key: cursor.value.key, reportId: owners[cursor.value.key] || null, blob: decodeDataURL(cursor.value.data), legacy: 1 });
+                cursor.continue();
+            };
+        };
+    }
+
+    if (database.objectStoreNames.contains(LEGACY_DRAFT_PHOTOS_STORE)) {
+        const imagesRequest = transaction.objectStore(LEGACY_DRAFT_PHOTOS_STORE).getAll();
+        imagesRequest.onsuccess = () => {
+            const images = new Map(imagesRequest.result.map(image => [image.id, image]));
+            const draftStore = transaction.objectStore(DRAFTS_STORE);
+
+            draftStore.getAll().onsuccess = (event) => {
+                event.target.result.forEach(draft => {
+                    draft.report.photos = migratePhotos(draft.report.photos, photo => images.get(photo.id), draft.reportId || null)
+                        .filter(photo => photo.imageKey);
+                    draftStore.put(withImageKeys(draft, draft.report.photos));
+                });
+                database.deleteObjectStore(LEGACY_DRAFT_PHOTOS_STORE);
+            };
+        };
+    }
+}
+
+/**
+ * After the version 7 migration: key the migrated images by their bytes, as
+ * hashImageBlob does on import, so the same picture is never stored twice.
+ * The keys are computed first and then swapped in one transaction; if the page
+ * closes in between, the images are still marked legacy and it runs again.
+ */
+async function rekeyLegacyPhotos() {
+    const legacyPhotos = await getLegacyPhotosFromDB();
+    if (legacyPhotos.length === 0) return;
+
+    const newKeys = new Map();
+    for (const record of legacyPhotos) {
+        newKeys.set(record.key, await hashImageBlob(record.blob));
+    }
+    await replacePhotoKeysInDB(newKeys);
+}
+
+async function getLegacyPhotosFromDB() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([PHOTOS_STORE], 'readonly');
+        const request = transaction.objectStore(PHOTOS_STORE).index('legacy').getAll();
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Move images to new content keys and update every record that references them
+ * @param {Map<string, string>} newKeys - New key by old key
+ */
+async function replacePhotoKeysInDB(newKeys) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, VERSIONS_STORE, DRAFTS_STORE, PHOTOS_STORE], 'readwrite');
+        const photoStore = transaction.objectStore(PHOTOS_STORE);
+
+        newKeys.forEach((newKey, oldKey) => {
+            const request = photoStore.get(oldKey);
+            request.onsuccess = () => {
+                const { legacy, ...record } = request.result;
+                photoStore.delete(oldKey);
+                // The same picture may already be stored under its new key
+                photoStore.getKey(newKey).onsuccess = (event) => {
+                    if (event.target.result === undefined) {
+                        photoStore.put({ ...record, key: newKey });
+                    }
+                };
+            };
+        });
+
+        const remap = key => newKeys.get(key) || key;
+        const remapPhotos = photos => photos.map(photo => {
+            const updated = { ...photo, imageKey: remap(photo.imageKey) };
+            if (photo.originalImageKey) updated.originalImageKey = remap(photo.originalImageKey);
+            if (photo.sourceImageKey) updated.sourceImageKey = remap(photo.sourceImageKey);
+            return updated;
+        });
+        const rewrite = (name, getReport) => {
+            transaction.objectStore(name).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const record = cursor.value;
+                if (getPhotoImageKeys(getReport(record).photos).some(key => newKeys.has(key))) {
+                    getReport(record).photos = remapPhotos(getReport(record).photos);
+                    cursor.update(withImageKeys(record, getReport(record).photos));
+                }
+                cursor.continue();
+            };
+        };
+        rewrite(STORE_NAME, report => report);
+        rewrite(VERSIONS_STORE, version => version.report);
+        rewrite(DRAFTS_STORE, draft => draft.report);
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Version 8 migration: index the image keys of reports, version snapshots and drafts
+ * so the cleanup of unreferenced images reads keys only, not whole records.
+ * Records the version 7 migration rewrites get their keys there; the cursors here
+ * would otherwise read them before that rewrite.
+ * @param {IDBDatabase} database - Database being upgraded
+ * @param {IDBTransaction} transaction - Upgrade transaction
+ * @param {number} oldVersion - Version the database is upgraded from
+ */
+function indexImageKeys(database, transaction, oldVersion) {
+    const sources = [
+        { name: STORE_NAME, getPhotos: report => report.photos },
+        { name: VERSIONS_STORE, getPhotos: version => version.report.photos },
+        { name: DRAFTS_STORE, getPhotos: draft => draft.report.photos }
+    ];
+    const rewritten = oldVersion > 0 && oldVersion < 7
+        ? [STORE_NAME, ...(database.objectStoreNames.contains(LEGACY_DRAFT_PHOTOS_STORE) ? [DRAFTS_STORE] : [])]
+        : [];
+
+    sources.forEach(({ name, getPhotos }) => {
+        const store = transaction.objectStore(name);
+        store.createIndex('imageKeys', 'imageKeys', { unique: false, multiEntry: true });
+        if (oldVersion === 0 || rewritten.includes(name)) return;
+
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            cursor.update(withImageKeys(cursor.value, getPhotos(cursor.value)));
+            cursor.continue();
+        };
+    });
+}
+
+/**
+ * Copy a report, version snapshot or draft with the content keys of its images
+ * in imageKeys, the field behind the stores' imageKeys index
+ * @param {Object} record - Record to write
+ * @param {Array} photos - Its photo records
+ * @returns {Object}
+ */
+function withImageKeys(record, photos) {
+    return { ...record, imageKeys: [...new Set(getPhotoImageKeys(photos).filter(Boolean))] };
+}
+
+/**
+ * Write the images of a transaction that are not stored yet
+ * Images autosaved before the report had an ID are assigned to it
+ * @param {IDBTransaction} transaction - Transaction including PHOTOS_STORE
+ * @param {Map<string, Blob>} images - Images by content key
+ * @param {string|null} reportId - Report the images belong to
+ */
+function putMissingPhotos(transaction, images, reportId) {
+    if (!images || images.size === 0) return;
+
+    // Only the keys being written are looked up: the store grows with every photo ever kept
+    const store = transaction.objectStore(PHOTOS_STORE);
+    images.forEach((blob, key) => {
+        store.getKey(key).onsuccess = (event) => {
+            if (event.target.result === undefined) {
+                store.put({ key: key, reportId: reportId, blob: blob });
+            } else if (reportId) {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (!request.result.reportId) {
+                        store.put({ ...request.result, reportId: reportId });
+                    }
+                };
+            }
         };
     });
 }
 
-async function saveReportToDB(reportData) {
+async function saveReportToDB(reportData, summary, images) {
     return new Promise((resolve, reject) => {
         if (!db) {
             reject(new Error('Database not initialized'));
             return;
         }
 
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.put(reportData);
+        // The report, its list summary and its new images are written together
+        const transaction = db.transaction([STORE_NAME, SUMMARIES_STORE, PHOTOS_STORE], 'readwrite');
+        transaction.objectStore(STORE_NAME).put(withImageKeys(reportData, reportData.photos));
+        transaction.objectStore(SUMMARIES_STORE).put(summary);
+        putMissingPhotos(transaction, images, reportData.id);
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
+        // Running out of quota aborts the commit without failing any request
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function saveReportSummaryToDB(summary) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        const transaction = db.transaction([SUMMARIES_STORE], 'readwrite');
+        const store = transaction.objectStore(SUMMARIES_STORE);
+        const request = store.put(summary);
 
         request.onsuccess = () => resolve(true);
         request.onerror = () => reject(request.error);
     });
 }
 
+async function getAllReportSummariesFromDB() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        const transaction = db.transaction([SUMMARIES_STORE], 'readonly');
+        const store = transaction.objectStore(SUMMARIES_STORE);
+        const request = store.getAll();
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 async function getAllReportsFromDB() {
     return new Promise((resolve, reject) => {
         if (!db) {
@@ -91,708 +407,6580 @@ async function deleteReportFromDB(reportId) {
             return;
         }
 
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.delete(reportId);
+        const transaction = db.transaction([STORE_NAME, SUMMARIES_STORE], 'readwrite');
+        transaction.objectStore(STORE_NAME).delete(reportId);
+        transaction.objectStore(SUMMARIES_STORE).delete(reportId);
 
-        request.onsuccess = () => resolve(true);
-        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
     });
 }
 
-// ================================
-// Global State
-// ================================
-const state = {
-    photos: [],
-    groups: {},
-    processedFiles: new Set()
-};
+async function saveProfileToDB(profile) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
 
-// ================================
-// Initialize Application
-// ================================
-document.addEventListener('DOMContentLoaded', async () => {
-    // Initialize IndexedDB first
-    try {
-        await initDatabase();
-        console.log('IndexedDB initialized successfully');
-    } catch (error) {
-        console.error('Failed to initialize IndexedDB:', error);
-    }
+        const transaction = db.transaction([PROFILES_STORE], 'readwrite');
+        const store = transaction.objectStore(PROFILES_STORE);
+        const request = store.put(profile);
 
-    initializeApp();
-});
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-function initializeApp() {
-    // Set today's date as default
-    const today = new Date().toISOString().split('T')[0];
-    document.getElementById('report-date').value = today;
+async function getAllProfilesFromDB() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
 
-    // Setup file inputs
-    setupFileInputs();
+        const transaction = db.transaction([PROFILES_STORE], 'readonly');
+        const store = transaction.objectStore(PROFILES_STORE);
+        const request = store.getAll();
 
-    // Setup drag and drop
-    setupDragAndDrop();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-/**
- * Setup file input listeners
- */
-function setupFileInputs() {
-    const mainFileInput = document.getElementById('file-input');
-    const additionalFileInput = document.getElementById('additional-files');
-
-    // Remove existing listeners by replacing with clone
-    const newMainInput = mainFileInput.cloneNode(true);
-    mainFileInput.parentNode.replaceChild(newMainInput, mainFileInput);
+async function saveBrandingToDB(branding) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
 
-    const newAdditionalInput = additionalFileInput.cloneNode(true);
-    additionalFileInput.parentNode.replaceChild(newAdditionalInput, additionalFileInput);
+        const transaction = db.transaction([BRANDINGS_STORE], 'readwrite');
+        const store = transaction.objectStore(BRANDINGS_STORE);
+        const request = store.put(branding);
 
-    // Add listeners to the new inputs
-    newMainInput.addEventListener('change', function(e) {
-        handleFiles(this.files);
-        // Reset input value after processing
-        setTimeout(() => { this.value = ''; }, 100);
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
     });
+}
 
-    newAdditionalInput.addEventListener('change', function(e) {
-        handleFiles(this.files);
-        // Reset input value after processing
-        setTimeout(() => { this.value = ''; }, 100);
-    });
+async function getAllBrandingsFromDB() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
 
-    // Store references for drag and drop
-    window.fileInput = newMainInput;
-    window.additionalInput = newAdditionalInput;
+        const transaction = db.transaction([BRANDINGS_STORE], 'readonly');
+        const store = transaction.objectStore(BRANDINGS_STORE);
+        const request = store.getAll();
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
-/**
- * Setup drag and drop functionality
- */
-function setupDragAndDrop() {
-    const dropZone = document.getElementById('drop-zone');
-    const fileInput = window.fileInput || document.getElementById('file-input');
+async function deleteBrandingFromDB(brandingId) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
 
-    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-        dropZone.addEventListener(eventName, preventDefaults, false);
+        const transaction = db.transaction([BRANDINGS_STORE], 'readwrite');
+        const store = transaction.objectStore(BRANDINGS_STORE);
+        const request = store.delete(brandingId);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
     });
+}
 
-    function preventDefaults(e) {
-        e.preventDefault();
-        e.stopPropagation();
-    }
+async function saveVersionToDB(version) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
 
-    ['dragenter', 'dragover'].forEach(eventName => {
-        dropZone.addEventListener(eventName, () => {
-            dropZone.classList.add('drag-over');
-        });
-    });
+        const transaction = db.transaction([VERSIONS_STORE], 'readwrite');
+        const store = transaction.objectStore(VERSIONS_STORE);
+        const request = store.put(withImageKeys(version, version.report.photos));
 
-    ['dragleave', 'drop'].forEach(eventName => {
-        dropZone.addEventListener(eventName, () => {
-            dropZone.classList.remove('drag-over');
-        });
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
     });
+}
 
-    dropZone.addEventListener('drop', (e) => {
-        const files = e.dataTransfer.files;
-        handleFiles(files);
-    });
+async function getVersionsFromDB(reportId) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
 
-    // Click on dropzone opens file dialog
-    let lastClickTime = 0;
-    dropZone.addEventListener('click', (e) => {
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'LABEL' || e.target.closest('label')) return;
+        const transaction = db.transaction([VERSIONS_STORE], 'readonly');
+        const store = transaction.objectStore(VERSIONS_STORE);
+        const request = reportId ? store.index('reportId').getAll(reportId) : store.getAll();
 
-        const currentTime = Date.now();
-        if (currentTime - lastClickTime < 300) return;
-        lastClickTime = currentTime;
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-        if (fileInput) {
-            fileInput.click();
+async function deleteVersionsFromDB(versionIds) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
         }
+
+        const transaction = db.transaction([VERSIONS_STORE], 'readwrite');
+        const store = transaction.objectStore(VERSIONS_STORE);
+        versionIds.forEach(id => store.delete(id));
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
     });
 }
 
-/**
- * Reset file input to allow re-selecting files
- */
-function resetFileInput(inputId) {
-    const input = document.getElementById(inputId);
-    if (input) {
+async function getPhotoBlobsFromDB(keys) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        const transaction = db.transaction([PHOTOS_STORE], 'readonly');
+        const store = transaction.objectStore(PHOTOS_STORE);
+        const blobs = {};
+
+        keys.forEach(key => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result) blobs[key] = request.result.blob;
+            };
+        });
+
+        transaction.oncomplete = () => resolve(blobs);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function getPhotoSizesFromDB(keys) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        const transaction = db.transaction([PHOTOS_STORE], 'readonly');
+        const store = transaction.objectStore(PHOTOS_STORE);
+        const sizes = {};
+
+        if (keys) {
+            keys.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result) sizes[key] = request.result.blob.size;
+                };
+            });
+        } else {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                sizes[cursor.value.key] = cursor.value.blob.size;
+                cursor.continue();
+            };
+        }
+
+        transaction.oncomplete = () => resolve(sizes);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function deleteUnreferencedPhotosFromDB() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        // One transaction over every store that references images, so no save can slip in between
+        const transaction = db.transaction([STORE_NAME, VERSIONS_STORE, DRAFTS_STORE, PHOTOS_STORE], 'readwrite');
+        const referencingStores = [STORE_NAME, VERSIONS_STORE, DRAFTS_STORE];
+        const referenced = new Set();
+        let pending = referencingStores.length;
+
+        // Key cursors over the imageKeys indexes: the records themselves are never read
+        referencingStores.forEach(name => {
+            transaction.objectStore(name).index('imageKeys').openKeyCursor(null, 'nextunique').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    referenced.add(cursor.key);
+                    cursor.continue();
+                    return;
+                }
+                if (--pending > 0) return;
+
+                const store = transaction.objectStore(PHOTOS_STORE);
+                store.getAllKeys().onsuccess = (keysEvent) => {
+                    keysEvent.target.result.forEach(key => {
+                        if (!referenced.has(key)) store.delete(key);
+                    });
+                };
+            };
+        });
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function saveDraftToDB(draft, images) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        const transaction = db.transaction([DRAFTS_STORE, PHOTOS_STORE], 'readwrite');
+        transaction.objectStore(DRAFTS_STORE).put(withImageKeys(draft, draft.report.photos));
+        putMissingPhotos(transaction, images, draft.reportId);
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function getDraftFromDB(draftId) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        const transaction = db.transaction([DRAFTS_STORE], 'readonly');
+        const store = transaction.objectStore(DRAFTS_STORE);
+        const request = store.get(draftId);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function clearDraftFromDB() {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            reject(new Error('Database not initialized'));
+            return;
+        }
+
+        const transaction = db.transaction([DRAFTS_STORE], 'readwrite');
+        const store = transaction.objectStore(DRAFTS_STORE);
+        const request = store.clear();
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ================================
+// Global State
+// ================================
+const state = {
+    // ID of the saved report being edited; null until the first save
+    reportId: null,
+    photos: [],
+    groups: {},
+    profile: null,
+    customGroups: [],
+    groupDescriptions: {},
+    // Group positions entered by hand ({ latitude, longitude }); others come from photo GPS
+    groupLocations: {},
+    customFieldValues: {},
+    compression: 'standard'
+};
+
+// PDF layouts: cellAspect is the cell height/width ratio, captionReserve the mm kept under each row
+const PDF_LAYOUTS = {
+    grid2x2: { label: '2 × 2 (vertical)', orientation: 'portrait', columns: 2, rows: 2, cellAspect: 1, captionReserve: 20 },
+    single: { label: '1 foto por página', orientation: 'portrait', columns: 1, rows: 1, cellAspect: 1.1, captionReserve: 20 },
+    grid3x3: { label: '3 × 3 (vertical)', orientation: 'portrait', columns: 3, rows: 3, cellAspect: 1, captionReserve: 16 },
+    landscape2x1: { label: '2 × 1 (horizontal)', orientation: 'landscape', columns: 2, rows: 1, cellAspect: 0.75, captionReserve: 20 }
+};
+const DEFAULT_PDF_LAYOUT = 'grid2x2';
+
+// Image compression profiles: maxSize is the longest side in px; a null quality embeds the source image as is
+const COMPRESSION_PROFILES = {
+    draft: { label: 'Borrador', quality: 0.5, maxSize: 800 },
+    standard: { label: 'Estándar', quality: 0.7, maxSize: 1000 },
+    high: { label: 'Alta calidad', quality: 0.85, maxSize: 2000 },
+    original: { label: 'Original', quality: null, maxSize: null }
+};
+const DEFAULT_COMPRESSION_PROFILE = 'standard';
+
+const PHOTO_STATUSES = {
+    ok: { label: 'OK', color: [16, 185, 129] },
+    incidencia: { label: 'Incidencia', color: [239, 68, 68] },
+    pendiente: { label: 'Pendiente', color: [245, 158, 11] }
+};
+
+// ================================
+// Initialize Application
+// ================================
+document.addEventListener('DOMContentLoaded', async () => {
+    // Initialize IndexedDB first
+    try {
+        await initDatabase();
+        console.log('IndexedDB initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize IndexedDB:', error);
+    }
+
+    await loadActiveProfile();
+    await loadBrandings();
+
+    initializeApp();
+});
+
+function initializeApp() {
+    // Set today's date as default
+    const today = new Date().toISOString().split('T')[0];
+    document.getElementById('report-date').value = today;
+
+    // Setup PDF layout and image quality options
+    setupLayoutSelect();
+    setupCompressionSelect();
+
+    // Setup custom fields of the selected branding
+    renderCustomFields();
+
+    // Setup file inputs
+    setupFileInputs();
+
+    // Setup drag and drop
+    setupDragAndDrop();
+
+    // Setup moving photos between groups
+    setupGroupDragAndDrop();
+
+    // Setup markup editor
+    setupPhotoEditor();
+
+    // Setup saved reports search and filters
+    setupSavedReportsBrowser();
+
+    // Setup autosave and recover the previous session if the tab was closed
+    setupAutosave();
+    offerDraftRestore().then(importSharedFiles);
+}
+
+/**
+ * Setup file input listeners
+ */
+function setupFileInputs() {
+    const mainFileInput = document.getElementById('file-input');
+    const additionalFileInput = document.getElementById('additional-files');
+
+    // Remove existing listeners by replacing with clone
+    const newMainInput = mainFileInput.cloneNode(true);
+    mainFileInput.parentNode.replaceChild(newMainInput, mainFileInput);
+
+    const folderInput = document.getElementById('folder-input');
+    const newFolderInput = folderInput.cloneNode(true);
+    folderInput.parentNode.replaceChild(newFolderInput, folderInput);
+
+    const newAdditionalInput = additionalFileInput.cloneNode(true);
+    additionalFileInput.parentNode.replaceChild(newAdditionalInput, additionalFileInput);
+
+    // Add listeners to the new inputs
+    newMainInput.addEventListener('change', function(e) {
+        handleFiles(this.files);
+        // Reset input value after processing
+        setTimeout(() => { this.value = ''; }, 100);
+    });
+
+    newFolderInput.addEventListener('change', function(e) {
+        handleFiles(this.files);
+        // Reset input value after processing
+        setTimeout(() => { this.value = ''; }, 100);
+    });
+
+    newAdditionalInput.addEventListener('change', function(e) {
+        handleFiles(this.files);
+        // Reset input value after processing
+        setTimeout(() => { this.value = ''; }, 100);
+    });
+
+    // Store references for drag and drop
+    window.fileInput = newMainInput;
+    window.additionalInput = newAdditionalInput;
+}
+
+/**
+ * Setup drag and drop functionality
+ */
+function setupDragAndDrop() {
+    const dropZone = document.getElementById('drop-zone');
+    const fileInput = window.fileInput || document.getElementById('file-input');
+
+    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, preventDefaults, false);
+    });
+
+    function preventDefaults(e) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+        dropZone.addEventListener(eventName, () => {
+            dropZone.classList.add('drag-over');
+        });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+        dropZone.addEventListener(eventName, () => {
+            dropZone.classList.remove('drag-over');
+        });
+    });
+
+    dropZone.addEventListener('drop', async (e) => {
+        // Folder drops are only readable through the entries API
+        const entries = getDroppedEntries(e.dataTransfer);
+        if (!entries || entries.every(entry => entry.isFile)) {
+            handleFiles(e.dataTransfer.files);
+            return;
+        }
+
+        document.getElementById('upload-progress').classList.remove('hidden');
+        try {
+            handleFiles(await readDroppedEntries(entries));
+        } catch (error) {
+            console.error('Error reading dropped folder:', error);
+            document.getElementById('upload-progress').classList.add('hidden');
+            alert('No se pudo leer la carpeta arrastrada.');
+        }
+    });
+
+    // Click on dropzone opens file dialog
+    let lastClickTime = 0;
+    dropZone.addEventListener('click', (e) => {
+        if (e.target.tagName === 'INPUT' || e.target.closest('label') || e.target.closest('button')) return;
+
+        const currentTime = Date.now();
+        if (currentTime - lastClickTime < 300) return;
+        lastClickTime = currentTime;
+
+        if (fileInput) {
+            fileInput.click();
+        }
+    });
+}
+
+/**
+ * Reset file input to allow re-selecting files
+ */
+function resetFileInput(inputId) {
+    const input = document.getElementById(inputId);
+    if (input) {
         input.value = '';
-        state.processedFiles.clear();
     }
 }
 
 // ================================
-// File Handling
+// File Handling
+// ================================
+
+// Longest side of the preview kept with each photo, shown while the full image loads
+const PHOTO_THUMBNAIL_SIZE = 240;
+
+/**
+ * Convert a file to base64 data URL
+ * @param {File} file - The file to convert
+ * @returns {Promise<string>} - Base64 data URL
+ */
+function fileToBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.readAsDataURL(file);
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = error => reject(error);
+    });
+}
+
+/**
+ * Content key of image data: length plus two FNV-1a hashes
+ * Images are keyed with hashImageBlob; data URLs only get this key during the version 7 migration.
+ * @param {string|Uint8Array} data - Image data URL or image bytes
+ * @returns {string}
+ */
+function hashImageData(data) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < data.length; i++) {
+        const c = typeof data === 'string' ? data.charCodeAt(i) : data[i];
+        h1 = Math.imul(h1 ^ c, 0x01000193);
+        h2 = Math.imul(h2 ^ c, 0x5bd1e995);
+    }
+    return data.length.toString(36) + '_' + (h1 >>> 0).toString(16) + (h2 >>> 0).toString(16);
+}
+
+/**
+ * Content key of an image Blob, hashed with SubtleCrypto so large photos never become strings
+ * @param {Blob} blob - Image
+ * @param {string|null} [digest] - SHA-256 of the same bytes, when already computed
+ * @returns {Promise<string>}
+ */
+async function hashImageBlob(blob, digest = null) {
+    const sha = digest || await computeContentHash(blob);
+    if (sha) {
+        return blob.size.toString(36) + '_' + sha.slice(0, 32);
+    }
+    // Without SubtleCrypto (page not served over https) the bytes go through the FNV hashes
+    return hashImageData(new Uint8Array(await blob.arrayBuffer()));
+}
+
+/**
+ * Downscale an image to a JPEG preview
+ * @param {string} src - Image URL or data URL
+ * @param {number} size - Longest side in pixels
+ * @param {number} [quality] - JPEG quality
+ * @returns {Promise<string>} - JPEG data URL
+ */
+async function createThumbnail(src, size, quality = 0.7) {
+    const img = await loadImageElement(src);
+    const scale = Math.min(1, size / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+}
+
+// ================================
+// EXIF Metadata
+// ================================
+
+const EXIF_TAGS = {
+    MODEL: 0x0110,
+    ORIENTATION: 0x0112,
+    EXIF_IFD: 0x8769,
+    GPS_IFD: 0x8825,
+    DATE_TIME_ORIGINAL: 0x9003,
+    GPS_LATITUDE_REF: 0x0001,
+    GPS_LATITUDE: 0x0002,
+    GPS_LONGITUDE_REF: 0x0003,
+    GPS_LONGITUDE: 0x0004,
+    GPS_ALTITUDE_REF: 0x0005,
+    GPS_ALTITUDE: 0x0006
+};
+
+/**
+ * Read EXIF metadata from an image file before compression strips it
+ * @param {File} file - Original image file
+ * @returns {Promise<Object|null>} - Capture time, GPS, camera model and orientation
+ */
+async function readExifData(file) {
+    const format = getImageFormat(file);
+    if (!['jpeg', 'heic', 'tiff'].includes(format)) return null;
+
+    try {
+        // The metadata always sits near the start of the file
+        const buffer = await file.slice(0, 256 * 1024).arrayBuffer();
+        const view = new DataView(buffer);
+
+        if (format === 'tiff') return parseTiff(view, 0);
+        if (format === 'heic') return parseHeifExif(view);
+        return parseExif(view);
+    } catch (error) {
+        console.warn('Could not read EXIF data:', file.name, error);
+        return null;
+    }
+}
+
+/**
+ * Read the EXIF orientation of a JPEG image (stored images have no file name to go by)
+ * @param {Blob} blob - Image
+ * @returns {Promise<number>} - EXIF orientation; 1 when upright, not a JPEG or unknown
+ */
+async function readJpegOrientation(blob) {
+    if (!IMAGE_FORMATS.jpeg.types.includes(blob.type)) return 1;
+
+    try {
+        const exif = parseExif(new DataView(await blob.slice(0, 256 * 1024).arrayBuffer()));
+        return (exif && exif.orientation) || 1;
+    } catch (error) {
+        return 1;
+    }
+}
+
+/**
+ * Parse the EXIF block of a JPEG file
+ * @param {DataView} view - View over the beginning of the JPEG file
+ * @returns {Object|null} - Parsed metadata or null if there is no EXIF block
+ */
+function parseExif(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const segmentLength = view.getUint16(offset + 2);
+
+        // APP1 with "Exif\0\0" header
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+            return parseTiff(view, offset + 10);
+        }
+        // Start of scan: no more metadata segments
+        if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;
+
+        offset += 2 + segmentLength;
+    }
+    return null;
+}
+
+/**
+ * Find the EXIF item of a HEIC/HEIF file
+ * The item payload starts with "Exif\0\0" followed by a TIFF header
+ * @param {DataView} view - View over the beginning of the file
+ * @returns {Object|null} - Parsed metadata or null if not found
+ */
+function parseHeifExif(view) {
+    for (let offset = 0; offset + 10 <= view.byteLength; offset++) {
+        if (view.getUint32(offset) === 0x45786966 && view.getUint16(offset + 4) === 0) {
+            const byteOrder = view.getUint16(offset + 6);
+            if (byteOrder === 0x4949 || byteOrder === 0x4D4D) {
+                return parseTiff(view, offset + 6);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse the TIFF structure embedded in the EXIF segment
+ * @param {DataView} view - View over the JPEG file
+ * @param {number} tiffStart - Offset of the TIFF header
+ * @returns {Object} - Parsed metadata
+ */
+function parseTiff(view, tiffStart) {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const ifd0 = readIfd(view, tiffStart, tiffStart + view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+
+    const exifIfd = ifd0[EXIF_TAGS.EXIF_IFD] !== undefined
+        ? readIfd(view, tiffStart, tiffStart + ifd0[EXIF_TAGS.EXIF_IFD], littleEndian)
+        : {};
+    const gpsIfd = ifd0[EXIF_TAGS.GPS_IFD] !== undefined
+        ? readIfd(view, tiffStart, tiffStart + ifd0[EXIF_TAGS.GPS_IFD], littleEndian)
+        : {};
+
+    const exif = {
+        takenAt: parseExifDate(exifIfd[EXIF_TAGS.DATE_TIME_ORIGINAL]),
+        latitude: null,
+        longitude: null,
+        altitude: null,
+        cameraModel: ifd0[EXIF_TAGS.MODEL] ? String(ifd0[EXIF_TAGS.MODEL]).trim() : null,
+        orientation: ifd0[EXIF_TAGS.ORIENTATION] || 1
+    };
+
+    const lat = gpsIfd[EXIF_TAGS.GPS_LATITUDE];
+    const lon = gpsIfd[EXIF_TAGS.GPS_LONGITUDE];
+    if (Array.isArray(lat) && Array.isArray(lon)) {
+        exif.latitude = dmsToDecimal(lat, gpsIfd[EXIF_TAGS.GPS_LATITUDE_REF]);
+        exif.longitude = dmsToDecimal(lon, gpsIfd[EXIF_TAGS.GPS_LONGITUDE_REF]);
+    }
+
+    const alt = gpsIfd[EXIF_TAGS.GPS_ALTITUDE];
+    if (typeof alt === 'number' && isFinite(alt)) {
+        exif.altitude = gpsIfd[EXIF_TAGS.GPS_ALTITUDE_REF] === 1 ? -alt : alt;
+    }
+
+    return exif;
+}
+
+/**
+ * Read all entries of an IFD into a tag -> value map
+ * @param {DataView} view - View over the JPEG file
+ * @param {number} tiffStart - Offset of the TIFF header (base for value offsets)
+ * @param {number} ifdStart - Offset of the IFD
+ * @param {boolean} littleEndian - Byte order of the TIFF block
+ * @returns {Object} - Tag values
+ */
+function readIfd(view, tiffStart, ifdStart, littleEndian) {
+    const values = {};
+    if (ifdStart + 2 > view.byteLength) return values;
+
+    const entries = view.getUint16(ifdStart, littleEndian);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifdStart + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const count = view.getUint32(entry + 4, littleEndian);
+        const value = readIfdValue(view, tiffStart, entry + 8, type, count, littleEndian);
+        if (value !== undefined) values[tag] = value;
+    }
+    return values;
+}
+
+/**
+ * Read the value of a single IFD entry
+ * @returns {*} - String, number, array of numbers or undefined for unsupported types
+ */
+function readIfdValue(view, tiffStart, valueOffset, type, count, littleEndian) {
+    const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    const size = typeSizes[type];
+    if (!size) return undefined;
+
+    // Values larger than 4 bytes are stored elsewhere, referenced by offset
+    const dataOffset = size * count > 4
+        ? tiffStart + view.getUint32(valueOffset, littleEndian)
+        : valueOffset;
+    if (dataOffset + size * count > view.byteLength) return undefined;
+
+    if (type === 2) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(dataOffset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        const at = dataOffset + i * size;
+        switch (type) {
+            case 1:
+            case 7:
+                items.push(view.getUint8(at));
+                break;
+            case 3:
+                items.push(view.getUint16(at, littleEndian));
+                break;
+            case 4:
+                items.push(view.getUint32(at, littleEndian));
+                break;
+            case 9:
+                items.push(view.getInt32(at, littleEndian));
+                break;
+            case 5:
+                items.push(view.getUint32(at, littleEndian) / (view.getUint32(at + 4, littleEndian) || 1));
+                break;
+            case 10:
+                items.push(view.getInt32(at, littleEndian) / (view.getInt32(at + 4, littleEndian) || 1));
+                break;
+        }
+    }
+    return count === 1 ? items[0] : items;
+}
+
+/**
+ * Convert EXIF degrees/minutes/seconds to signed decimal degrees
+ */
+function dmsToDecimal(dms, ref) {
+    const decimal = dms[0] + (dms[1] || 0) / 60 + (dms[2] || 0) / 3600;
+    return (ref === 'S' || ref === 'W') ? -decimal : decimal;
+}
+
+/**
+ * Convert an EXIF date ("YYYY:MM:DD HH:MM:SS") to a local ISO string
+ */
+function parseExifDate(value) {
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return null;
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+}
+
+/**
+ * Build the metadata lines printed under a photo (capture time and coordinates)
+ * @param {Object} photo - Photo object
+ * @returns {Array<string>} - Lines of text, empty if there is no metadata
+ */
+function formatPhotoMetadataLines(photo) {
+    const exif = photo.exif;
+    if (!exif) return [];
+
+    const lines = [];
+    if (exif.takenAt) {
+        const [datePart, timePart] = exif.takenAt.split('T');
+        const [year, month, day] = datePart.split('-');
+        lines.push(`${day}/${month}/${year} ${timePart}`);
+    }
+    if (exif.latitude !== null && exif.longitude !== null) {
+        let coords = `${exif.latitude.toFixed(6)}, ${exif.longitude.toFixed(6)}`;
+        if (exif.altitude !== null) {
+            coords += ` (${Math.round(exif.altitude)} m)`;
+        }
+        lines.push(coords);
+    }
+    return lines;
+}
+
+// ================================
+// Image Format Decoding
+// ================================
+
+// Accepted upload formats; anything that is not JPEG/PNG is converted to JPEG before compression
+const IMAGE_FORMATS = {
+    jpeg: { label: 'JPG', types: ['image/jpeg', 'image/jpg'], extensions: ['jpg', 'jpeg'] },
+    png: { label: 'PNG', types: ['image/png'], extensions: ['png'] },
+    webp: { label: 'WebP', types: ['image/webp'], extensions: ['webp'] },
+    heic: { label: 'HEIC', types: ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'], extensions: ['heic', 'heif'] },
+    tiff: { label: 'TIFF', types: ['image/tiff', 'image/x-adobe-dng'], extensions: ['tif', 'tiff', 'dng'] }
+};
+
+// Decoders are only downloaded when a file needs them, in the order listed
+// (UTIF takes pako, for deflate-compressed TIFF/DNG, when it loads)
+const DECODER_SCRIPTS = {
+    heic: ['libs/heic2any.min.js'],
+    tiff: ['libs/pako_inflate.min.js', 'libs/UTIF.js']
+};
+
+const loadedScripts = {};
+let importErrorsCallback = null;
+
+/**
+ * Detect the format of an uploaded file
+ * Falls back to the extension: HEIC files often arrive with an empty MIME type
+ * @param {File} file - Uploaded file
+ * @returns {string|null} - Key of IMAGE_FORMATS or null if unsupported
+ */
+function getImageFormat(file) {
+    const type = (file.type || '').toLowerCase();
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+
+    for (const [key, format] of Object.entries(IMAGE_FORMATS)) {
+        if (format.types.includes(type)) return key;
+    }
+    for (const [key, format] of Object.entries(IMAGE_FORMATS)) {
+        if (format.extensions.includes(extension)) return key;
+    }
+    return null;
+}
+
+/**
+ * Inject a script once and wait for it to load
+ * @param {string} src - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScriptOnce(src) {
+    if (!loadedScripts[src]) {
+        loadedScripts[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                delete loadedScripts[src];
+                reject(new Error('Could not load ' + src));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return loadedScripts[src];
+}
+
+/**
+ * Convert an uploaded image to a format Compressor.js can handle
+ * @param {File} file - Uploaded file
+ * @param {string} format - Key of IMAGE_FORMATS
+ * @returns {Promise<File>} - The same file for JPEG/PNG, a JPEG otherwise
+ */
+async function decodeToJpeg(file, format) {
+    if (format === 'jpeg' || format === 'png') return file;
+
+    // Safari decodes HEIC and TIFF itself and every current browser decodes WebP
+    try {
+        return await decodeNatively(file);
+    } catch (error) {
+        if (format === 'webp') throw error;
+    }
+
+    if (format === 'heic') {
+        await loadDecoder('heic');
+        const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+        // Burst/live photos decode to several images: keep the first one
+        const blob = Array.isArray(result) ? result[0] : result;
+        return new File([blob], toJpegName(file.name), { type: 'image/jpeg', lastModified: file.lastModified });
+    }
+
+    await loadDecoder('tiff');
+    return decodeTiff(file);
+}
+
+/**
+ * Load the scripts of a decoder one after the other
+ * @param {string} format - Key of DECODER_SCRIPTS
+ */
+async function loadDecoder(format) {
+    for (const src of DECODER_SCRIPTS[format]) {
+        await loadScriptOnce(src);
+    }
+}
+
+/**
+ * Decode an image with the browser's own decoders
+ * @param {File} file - Uploaded file
+ * @returns {Promise<File>} - JPEG file
+ */
+async function decodeNatively(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const img = await loadImageElement(url);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        return await canvasToJpegFile(canvas, file);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Decode a TIFF (or TIFF-based raw such as DNG) with UTIF.js
+ * @param {File} file - Uploaded file
+ * @returns {Promise<File>} - JPEG file
+ */
+async function decodeTiff(file) {
+    const buffer = await file.arrayBuffer();
+    const ifds = UTIF.decode(buffer);
+
+    // DNG files also carry small previews: the largest page is the photo
+    const page = ifds
+        .filter(ifd => ifd.t256 && ifd.t257)
+        .reduce((best, ifd) => (!best || ifd.t256[0] * ifd.t257[0] > best.t256[0] * best.t257[0] ? ifd : best), null);
+    if (!page) throw new Error('TIFF without image data');
+
+    UTIF.decodeImage(buffer, page, ifds);
+    const rgba = UTIF.toRGBA8(page);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = page.width;
+    canvas.height = page.height;
+    canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer), page.width, page.height), 0, 0);
+    return canvasToJpegFile(canvas, file);
+}
+
+/**
+ * Encode a canvas as a JPEG file named after the original
+ * @param {HTMLCanvasElement} canvas - Canvas with the decoded image
+ * @param {File} original - Original file (name and date)
+ * @returns {Promise<File>}
+ */
+function canvasToJpegFile(canvas, original) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('Could not encode JPEG'));
+                return;
+            }
+            resolve(new File([blob], toJpegName(original.name), { type: 'image/jpeg', lastModified: original.lastModified }));
+        }, 'image/jpeg', 0.92);
+    });
+}
+
+/**
+ * Replace the extension of a file name with .jpg
+ */
+function toJpegName(name) {
+    return name.replace(/\.[^/.]+$/, '') + '.jpg';
+}
+
+/**
+ * Show the files that could not be imported
+ * @param {Array} errors - Entries ({ name, reason })
+ * @param {Function} [onClose] - Called once the dialog is closed
+ */
+function showImportErrors(errors, onClose) {
+    const modal = document.getElementById('import-errors-modal');
+    const list = document.getElementById('import-errors-list');
+    if (!modal || !list) return;
+
+    importErrorsCallback = onClose || null;
+    document.getElementById('import-errors-summary').textContent =
+        `${errors.length} archivo${errors.length !== 1 ? 's' : ''} no se ha${errors.length !== 1 ? 'n' : ''} podido importar.`;
+    list.innerHTML = errors.map(error => `
+        <li>
+            <strong>${escapeHtml(error.name)}</strong>
+            <span>${escapeHtml(error.reason)}</span>
+        </li>
+    `).join('');
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Close the import errors dialog
+ */
+function closeImportErrors() {
+    document.getElementById('import-errors-modal').classList.add('hidden');
+
+    const callback = importErrorsCallback;
+    importErrorsCallback = null;
+    if (callback) callback();
+}
+
+// ================================
+// Folder and ZIP Import
+// ================================
+
+const ZIP_SCRIPT = 'libs/jszip.min.js';
+
+/**
+ * Relative path of an imported file (folder drop, folder picker or ZIP entry)
+ * @param {File} file - Imported file
+ * @returns {string} - Path such as "CR129/IMG_0001.jpg" or '' for loose files
+ */
+function getImportPath(file) {
+    return file.importPath || file.webkitRelativePath || '';
+}
+
+/**
+ * Remember where a file came from; File objects have no writable path
+ */
+function setImportPath(file, path) {
+    file.importPath = path;
+    return file;
+}
+
+/**
+ * Check whether a file is a ZIP archive
+ */
+function isZipFile(file) {
+    return /^application\/(x-)?zip(-compressed)?$/i.test(file.type) || /\.zip$/i.test(file.name);
+}
+
+/**
+ * System files that are dropped silently (macOS metadata, thumbnails, dotfiles)
+ */
+function isHiddenImportPath(path) {
+    return path.split('/').some(part => part.startsWith('.') || part === '__MACOSX' || /^thumbs\.db$/i.test(part));
+}
+
+/**
+ * Get the dropped entries; must run synchronously inside the drop event
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {Array|null} - FileSystemEntry list or null if not supported
+ */
+function getDroppedEntries(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    if (items.length === 0 || !items[0].webkitGetAsEntry) return null;
+    return items.map(item => item.webkitGetAsEntry()).filter(Boolean);
+}
+
+/**
+ * Read every file below the dropped entries, keeping folder paths
+ * @param {Array} entries - FileSystemEntry list
+ * @returns {Promise<Array<File>>}
+ */
+async function readDroppedEntries(entries) {
+    const files = [];
+    for (const entry of entries) {
+        await readEntry(entry, '', files);
+    }
+    return files;
+}
+
+/**
+ * Recursively read a file or directory entry
+ * @param {FileSystemEntry} entry - Entry to read
+ * @param {string} parentPath - Path of the parent folder ('' at the root)
+ * @param {Array<File>} files - Accumulator
+ */
+async function readEntry(entry, parentPath, files) {
+    const path = parentPath + entry.name;
+    if (isHiddenImportPath(path)) return;
+
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push(setImportPath(file, path));
+        return;
+    }
+
+    if (entry.isDirectory) {
+        updateImportStatus(`Leyendo carpeta ${path}`);
+        const reader = entry.createReader();
+
+        // readEntries returns the folder in batches until it returns an empty one
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await readEntry(child, path + '/', files);
+            }
+        } while (batch.length > 0);
+    }
+}
+
+/**
+ * Replace ZIP archives of a batch by the files they contain
+ * @param {Array<File>} files - Imported files
+ * @param {Array} importErrors - Accumulator for skipped entries
+ * @returns {Promise<Array<File>>}
+ */
+async function expandZipFiles(files, importErrors) {
+    const result = [];
+
+    for (const file of files) {
+        if (!isZipFile(file)) {
+            result.push(file);
+            continue;
+        }
+
+        // Entries keep the folder the archive was found in
+        const basePath = getImportPath(file).split('/').slice(0, -1).map(part => part + '/').join('');
+
+        try {
+            await loadScriptOnce(ZIP_SCRIPT);
+            const zip = await JSZip.loadAsync(file);
+            const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+            for (const entry of entries) {
+                const path = basePath + entry.name;
+                if (isHiddenImportPath(path)) continue;
+
+                const name = entry.name.split('/').pop();
+                if (!getImageFormat({ name: name, type: '' })) {
+                    recordImportError(importErrors, path, 'Formato no compatible');
+                    continue;
+                }
+
+                updateImportStatus(`Descomprimiendo ${file.name}: ${entry.name}`);
+                const blob = await entry.async('blob');
+                result.push(setImportPath(new File([blob], name, { lastModified: entry.date.getTime() }), path));
+            }
+        } catch (error) {
+            console.error('Error reading ZIP:', file.name, error);
+            recordImportError(importErrors, file.name, 'ZIP dañado o no compatible');
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Show what the importer is currently doing
+ * @param {string} text - Status line
+ */
+function updateImportStatus(text) {
+    const status = document.getElementById('progress-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Record a skipped file and list it in the progress view
+ * @param {Array} importErrors - Accumulator
+ * @param {string} name - File name or path
+ * @param {string} reason - Why it was skipped
+ */
+function recordImportError(importErrors, name, reason) {
+    importErrors.push({ name: name, reason: reason });
+
+    const list = document.getElementById('progress-skipped');
+    if (!list) return;
+
+    const item = document.createElement('li');
+    item.textContent = `${name} — ${reason}`;
+    list.appendChild(item);
+    list.classList.remove('hidden');
+}
+
+// ================================
+// Camera Capture
+// ================================
+
+// Quality of the frames taken from the camera; they are compressed afterwards like any import
+const CAMERA_CAPTURE_QUALITY = 0.92;
+
+// Active capture: { stream, group, nextNumber, taken, position, watchId, queue }
+let cameraSession = null;
+
+/**
+ * Start capturing photos with the device camera
+ * Without a group, the target group is chosen (or created) first.
+ * @param {string} [groupName] - Group that receives the photos
+ */
+function openCamera(groupName) {
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+        alert('Este navegador no permite usar la cámara desde la aplicación. Usa "Seleccionar Archivos".');
+        return;
+    }
+
+    if (groupName) {
+        startCameraCapture(groupName);
+        return;
+    }
+
+    if (Object.keys(state.groups).length === 0) {
+        const newGroup = normalizeGroupName(prompt('Grupo para las fotografías (p. ej. ARQ117):'));
+        if (newGroup) startCameraCapture(newGroup);
+        return;
+    }
+
+    openGroupTargetModal({ action: 'capture' }, 'Capturar fotografías en...');
+}
+
+/**
+ * Open the camera view for a group
+ * @param {string} groupName - Group that receives the photos
+ */
+async function startCameraCapture(groupName) {
+    const modal = document.getElementById('camera-modal');
+    const video = document.getElementById('camera-video');
+    if (!modal || !video || cameraSession) return;
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+            audio: false
+        });
+    } catch (error) {
+        console.error('Error opening camera:', error);
+        alert(error.name === 'NotAllowedError'
+            ? 'No se ha concedido permiso para usar la cámara.'
+            : 'No se pudo abrir la cámara: ' + error.message);
+        return;
+    }
+
+    cameraSession = {
+        stream: stream,
+        group: groupName,
+        nextNumber: getNextCaptureNumber(groupName),
+        taken: 0,
+        position: null,
+        watchId: null,
+        queue: Promise.resolve()
+    };
+
+    // Photos without a position fix are still taken; they just carry no coordinates
+    if (navigator.geolocation) {
+        cameraSession.watchId = navigator.geolocation.watchPosition(
+            position => {
+                if (!cameraSession) return;
+                cameraSession.position = position;
+                updateCameraStatus();
+            },
+            error => console.warn('Geolocation unavailable:', error.message),
+            { enableHighAccuracy: true, maximumAge: 30000 }
+        );
+    }
+
+    video.srcObject = stream;
+    document.getElementById('camera-title').textContent = `Capturar en ${groupName}`;
+    updateCameraStatus();
+    modal.classList.remove('hidden');
+}
+
+/**
+ * First free sequence number for captured photos of a group (GROUP_01, GROUP_02...)
+ * @param {string} groupName - Target group
+ * @returns {number}
+ */
+function getNextCaptureNumber(groupName) {
+    const pattern = new RegExp('^' + escapeRegExp(groupName) + '_(\\d+)(\\.[^.]+)?$', 'i');
+    let highest = 0;
+    state.photos.forEach(photo => {
+        const match = photo.originalName.match(pattern);
+        if (match) highest = Math.max(highest, parseInt(match[1], 10));
+    });
+    return highest + 1;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Take a photo from the camera view and add it to the session's group
+ */
+function captureCameraPhoto() {
+    const session = cameraSession;
+    const video = document.getElementById('camera-video');
+    if (!session || !video.videoWidth) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+
+    // Name and metadata are fixed at the shutter, not when processing finishes
+    const name = `${session.group}_${String(session.nextNumber++).padStart(2, '0')}.jpg`;
+    const capturedAt = new Date();
+    const position = session.position;
+    session.taken++;
+    updateCameraStatus();
+
+    const view = document.querySelector('.camera-view');
+    view.classList.remove('camera-flash');
+    void view.offsetWidth;
+    view.classList.add('camera-flash');
+
+    // Shots are processed one after another so they keep their order during a burst
+    session.queue = session.queue.then(() => new Promise(resolve => {
+        canvas.toBlob(resolve, 'image/jpeg', CAMERA_CAPTURE_QUALITY);
+    })).then(blob => {
+        if (!blob) throw new Error('No se pudo capturar la imagen');
+        const file = new File([blob], name, { type: 'image/jpeg', lastModified: capturedAt.getTime() });
+        return addCapturedPhoto(file, session.group, capturedAt, position);
+    }).catch(error => {
+        console.error('Error capturing photo:', error);
+        showNotification(`No se pudo guardar ${name}`);
+    });
+}
+
+/**
+ * Run a captured photo through the import pipeline and file it in its group
+ * @param {File} file - Captured JPEG
+ * @param {string} groupName - Target group
+ * @param {Date} capturedAt - Shutter time
+ * @param {GeolocationPosition|null} position - Last position fix
+ */
+async function addCapturedPhoto(file, groupName, capturedAt, position) {
+    const importErrors = [];
+    const photo = await importPhotoFile(file, false, importErrors);
+    if (!photo) {
+        throw new Error(importErrors.length > 0 ? importErrors[0].reason : 'Error de importación');
+    }
+
+    // The group was chosen by hand: rules must not move these photos
+    photo.group = groupName;
+    photo.groupLocked = true;
+
+    // Same shape as EXIF metadata, so it shows under the photo and in the PDF
+    const coords = position ? position.coords : null;
+    photo.exif = {
+        takenAt: formatLocalDateTime(capturedAt),
+        latitude: coords ? coords.latitude : null,
+        longitude: coords ? coords.longitude : null,
+        altitude: coords && typeof coords.altitude === 'number' ? coords.altitude : null,
+        cameraModel: null,
+        orientation: 1
+    };
+
+    state.photos.push(photo);
+    groupPhotos();
+    renderDashboard();
+}
+
+/**
+ * Format a date as local YYYY-MM-DDTHH:MM:SS, like EXIF capture times
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function formatLocalDateTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Show the shot count and the position fix of the camera view
+ */
+function updateCameraStatus() {
+    if (!cameraSession) return;
+
+    const taken = cameraSession.taken;
+    document.getElementById('camera-count').textContent = `${taken} fotografía${taken !== 1 ? 's' : ''}`;
+
+    const coords = cameraSession.position ? cameraSession.position.coords : null;
+    document.getElementById('camera-location').textContent = coords
+        ? `${coords.latitude.toFixed(5)}, ${coords.longitude.toFixed(5)} (±${Math.round(coords.accuracy)} m)`
+        : 'Sin ubicación';
+}
+
+/**
+ * Stop the camera; photos still being processed are added when they finish
+ */
+async function closeCamera() {
+    const session = cameraSession;
+    if (!session) return;
+    cameraSession = null;
+
+    session.stream.getTracks().forEach(track => track.stop());
+    if (session.watchId !== null) {
+        navigator.geolocation.clearWatch(session.watchId);
+    }
+
+    const video = document.getElementById('camera-video');
+    video.srcObject = null;
+    document.getElementById('camera-modal').classList.add('hidden');
+
+    await session.queue;
+    if (session.taken > 0) {
+        showNotification(`${session.taken} fotografía${session.taken !== 1 ? 's' : ''} añadida${session.taken !== 1 ? 's' : ''} a ${session.group}`);
+    }
+}
+
+// ================================
+// Duplicate Detection
+// ================================
+
+// Max differing bits (of 64) for two perceptual hashes to count as near-duplicates
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+let pendingDuplicates = [];
+
+/**
+ * SHA-256 of the original file bytes (exact duplicate detection)
+ * @param {Blob} file - Original file
+ * @returns {Promise<string|null>} - Hex digest or null if SubtleCrypto is unavailable
+ */
+async function computeContentHash(file) {
+    if (!window.crypto || !window.crypto.subtle) return null;
+
+    try {
+        const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+        console.warn('Could not hash file:', error);
+        return null;
+    }
+}
+
+/**
+ * Difference hash (dHash) of an image: 64 bits comparing neighbouring pixels
+ * of a 9x8 grayscale thumbnail. Resistant to resizing and recompression.
+ * @param {string} src - Image URL or data URL
+ * @returns {Promise<string|null>} - 16-char hex hash
+ */
+async function computePerceptualHash(src) {
+    try {
+        const img = await loadImageElement(src);
+        const canvas = document.createElement('canvas');
+        canvas.width = 9;
+        canvas.height = 8;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, 9, 8);
+        const pixels = ctx.getImageData(0, 0, 9, 8).data;
+
+        const gray = [];
+        for (let i = 0; i < pixels.length; i += 4) {
+            gray.push(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114);
+        }
+
+        let hash = '';
+        for (let y = 0; y < 8; y++) {
+            let nibble = 0;
+            for (let x = 0; x < 8; x++) {
+                nibble = (nibble << 1) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0);
+                if (x % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+        return hash;
+    } catch (error) {
+        console.warn('Could not compute perceptual hash:', error);
+        return null;
+    }
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(hashA, hashB) {
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+        let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Compute missing perceptual hashes (photos from reports saved before hashing existed)
+ * @param {Array} photos - Photos to check
+ */
+async function ensurePerceptualHashes(photos) {
+    const missing = photos.filter(photo => !photo.perceptualHash);
+    await loadPhotoBlobs(missing);
+
+    for (const photo of missing) {
+        if (photo.objectUrl) {
+            photo.perceptualHash = await computePerceptualHash(photo.objectUrl);
+        }
+    }
+}
+
+/**
+ * Find the photo a given photo duplicates
+ * @param {Object} photo - Photo to check
+ * @param {Array} candidates - Photos to compare with
+ * @returns {Object|null} - { photo, exact, similarity } or null
+ */
+function findDuplicateOf(photo, candidates) {
+    let best = null;
+
+    for (const candidate of candidates) {
+        if (candidate.id === photo.id) continue;
+
+        if (photo.contentHash && candidate.contentHash === photo.contentHash) {
+            return { photo: candidate, exact: true, similarity: 100 };
+        }
+
+        if (photo.perceptualHash && candidate.perceptualHash) {
+            const distance = hammingDistance(photo.perceptualHash, candidate.perceptualHash);
+            if (distance <= NEAR_DUPLICATE_DISTANCE && (!best || distance < best.distance)) {
+                best = { photo: candidate, exact: false, distance: distance };
+            }
+        }
+    }
+
+    if (!best) return null;
+    return { photo: best.photo, exact: false, similarity: Math.round((64 - best.distance) / 64 * 100) };
+}
+
+/**
+ * Scan every photo of the current report for duplicates
+ */
+async function findDuplicatesInReport() {
+    await ensurePerceptualHashes(state.photos);
+
+    const suspects = [];
+    state.photos.forEach((photo, index) => {
+        const match = findDuplicateOf(photo, state.photos.slice(0, index));
+        if (match) {
+            suspects.push({ photoId: photo.id, matchId: match.photo.id, exact: match.exact, similarity: match.similarity });
+        }
+    });
+
+    if (suspects.length === 0) {
+        showNotification('No se han encontrado fotografías duplicadas');
+        return;
+    }
+    showDuplicateReview(suspects);
+}
+
+/**
+ * Show the duplicate review dialog
+ * @param {Array} suspects - Pairs ({ photoId, matchId, exact, similarity }), photoId is the newer photo
+ */
+function showDuplicateReview(suspects) {
+    const modal = document.getElementById('duplicates-modal');
+    const list = document.getElementById('duplicates-list');
+    if (!modal || !list) return;
+
+    pendingDuplicates = suspects;
+    list.innerHTML = suspects.map((suspect, index) => {
+        const photo = state.photos.find(p => p.id === suspect.photoId);
+        const match = state.photos.find(p => p.id === suspect.matchId);
+        if (!photo || !match) return '';
+
+        return `
+            <div class="duplicate-item">
+                <div class="duplicate-pair">
+                    <figure>
+                        <img src="${getPhotoSrc(match)}" alt="">
+                        <figcaption>${escapeHtml(match.originalName)}<br><small>${escapeHtml(match.group)}</small></figcaption>
+                    </figure>
+                    <span class="duplicate-badge ${suspect.exact ? 'exact' : ''}">${suspect.exact ? 'Idéntica' : 'Similar ' + suspect.similarity + '%'}</span>
+                    <figure>
+                        <img src="${getPhotoSrc(photo)}" alt="">
+                        <figcaption>${escapeHtml(photo.originalName)}<br><small>${escapeHtml(photo.group)}</small></figcaption>
+                    </figure>
+                </div>
+                <select id="duplicate-choice-${index}">
+                    <option value="both" ${suspect.exact ? '' : 'selected'}>Conservar ambas</option>
+                    <option value="first" ${suspect.exact ? 'selected' : ''}>Conservar solo la primera</option>
+                    <option value="second">Conservar solo la segunda</option>
+                </select>
+            </div>
+        `;
+    }).join('');
+
+    document.getElementById('duplicates-summary').textContent =
+        `${suspects.length} posible${suspects.length !== 1 ? 's' : ''} duplicado${suspects.length !== 1 ? 's' : ''}. Elige qué fotografía conservar en cada caso.`;
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Apply the choices of the duplicate review dialog
+ */
+function applyDuplicateReview() {
+    const idsToRemove = new Set();
+
+    pendingDuplicates.forEach((suspect, index) => {
+        const select = document.getElementById(`duplicate-choice-${index}`);
+        if (!select) return;
+
+        if (select.value === 'first') {
+            idsToRemove.add(suspect.photoId);
+        } else if (select.value === 'second') {
+            idsToRemove.add(suspect.matchId);
+        }
+    });
+
+    closeDuplicateReview();
+    if (idsToRemove.size === 0) return;
+
+    state.photos = state.photos.filter(photo => {
+        if (!idsToRemove.has(photo.id)) return true;
+        URL.revokeObjectURL(photo.objectUrl);
+        return false;
+    });
+
+    groupPhotos();
+    renderDashboard();
+    showNotification(`${idsToRemove.size} fotografía${idsToRemove.size !== 1 ? 's' : ''} duplicada${idsToRemove.size !== 1 ? 's' : ''} eliminada${idsToRemove.size !== 1 ? 's' : ''}`);
+}
+
+/**
+ * Close the duplicate review dialog keeping every photo
+ */
+function closeDuplicateReview() {
+    const modal = document.getElementById('duplicates-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    pendingDuplicates = [];
+}
+
+// Set while files are being imported; aborting it cancels the import
+let importController = null;
+
+/**
+ * Handle uploaded files
+ * @param {FileList} files - Array of uploaded files
+ */
+async function handleFiles(files) {
+    if (!files || files.length === 0) return;
+
+    // Show progress
+    document.getElementById('upload-section').classList.remove('hidden');
+    document.getElementById('upload-progress').classList.remove('hidden');
+    document.getElementById('progress-skipped').innerHTML = '';
+    document.getElementById('progress-skipped').classList.add('hidden');
+    updateProgress(0, files.length);
+    importController = new AbortController();
+    const signal = importController.signal;
+
+    // Every file that cannot be imported gets its own entry
+    const importErrors = [];
+
+    try {
+        // ZIP archives are unpacked first; their entries join the batch
+        const importedFiles = await expandZipFiles(Array.from(files), importErrors);
+
+        const validFiles = [];
+        importedFiles.forEach(file => {
+            if (getImageFormat(file)) {
+                validFiles.push(file);
+            } else {
+                recordImportError(importErrors, getImportPath(file) || file.name, 'Formato no compatible');
+            }
+        });
+
+        if (validFiles.length === 0) {
+            document.getElementById('upload-progress').classList.add('hidden');
+            resetFileInput('file-input');
+            showImportErrors(importErrors);
+            return;
+        }
+
+        // Photos spread over several subfolders can use each folder as their group
+        const folders = new Set(validFiles.map(file => getImportPath(file).split('/').slice(0, -1).join('/')).filter(Boolean));
+        const groupByFolder = folders.size > 1 &&
+            confirm('Las fotografías están organizadas en carpetas. ¿Usar cada carpeta como grupo?');
+
+        const total = validFiles.length;
+        let processed = 0;
+        updateProgress(0, total);
+
+        // Photos already in the report (e.g. a loaded one) may predate hashing
+        await ensurePerceptualHashes(state.photos);
+        const duplicateSuspects = [];
+
+        // Files are processed a few at a time; results keep the order of the files
+        const results = new Array(total).fill(null);
+        let nextIndex = 0;
+        const processNext = async () => {
+            while (nextIndex < total && !signal.aborted) {
+                const index = nextIndex++;
+                results[index] = await importPhotoFile(validFiles[index], groupByFolder, importErrors, signal);
+                processed++;
+                updateProgress(processed, total);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(COMPRESSION_CONCURRENCY, total) }, processNext));
+
+        // Photos finished before a cancel are kept
+        for (const photo of results) {
+            if (!photo) continue;
+
+            // Compare with the report and with earlier files of this batch
+            const duplicate = findDuplicateOf(photo, state.photos);
+            if (duplicate) {
+                duplicateSuspects.push({
+                    photoId: photo.id,
+                    matchId: duplicate.photo.id,
+                    exact: duplicate.exact,
+                    similarity: duplicate.similarity
+                });
+            }
+
+            state.photos.push(photo);
+        }
+
+        if (signal.aborted) {
+            const kept = results.filter(Boolean).length;
+            showNotification(`Importación cancelada: ${kept} de ${total} fotografías añadidas`);
+        }
+
+        // Complete
+        setTimeout(() => {
+            document.getElementById('upload-progress').classList.add('hidden');
+            if (state.photos.length > 0) {
+                groupPhotos();
+                renderDashboard();
+            }
+            resetFileInput('file-input');
+
+            const reviewDuplicates = () => {
+                if (duplicateSuspects.length > 0) {
+                    showDuplicateReview(duplicateSuspects);
+                }
+            };
+            if (importErrors.length > 0) {
+                showImportErrors(importErrors, reviewDuplicates);
+            } else {
+                reviewDuplicates();
+            }
+        }, 500);
+    } catch (error) {
+        // A damaged ZIP or a failed database read must not leave the progress bar up
+        console.error('Error importing files:', error);
+        document.getElementById('upload-progress').classList.add('hidden');
+        resetFileInput('file-input');
+        alert('Error al importar las fotografías: ' + error.message);
+    } finally {
+        importController = null;
+    }
+}
+
+/**
+ * Cancel the import in progress; photos already processed are kept
+ */
+function cancelImport() {
+    if (!importController) return;
+    // Only this import's compressions stop; camera captures keep using the pool
+    importController.abort();
+    updateImportStatus('Cancelando...');
+}
+
+/**
+ * Turn one imported file into a photo
+ * @param {File} file - Image file
+ * @param {boolean} groupByFolder - Use the file's folder as its group
+ * @param {Array} importErrors - Collects the files that cannot be imported
+ * @returns {Promise<Object|null>} - New photo, or null when the file is skipped
+ */
+async function importPhotoFile(file, groupByFolder, importErrors, signal) {
+    const sourcePath = getImportPath(file);
+    updateImportStatus(`Procesando ${sourcePath || file.name}`);
+
+    try {
+        // Hash the original bytes before anything else touches them
+        const contentHash = await computeContentHash(file);
+
+        // Read EXIF before compression, which strips it
+        const exif = await readExifData(file);
+
+        // Turn HEIC/WebP/TIFF into JPEG before compression
+        const format = getImageFormat(file);
+        let imageFile;
+        try {
+            imageFile = await decodeToJpeg(file, format);
+        } catch (error) {
+            console.error('Error decoding file:', file.name, error);
+            recordImportError(importErrors, sourcePath || file.name, `No se pudo convertir la imagen ${IMAGE_FORMATS[format].label}`);
+            return null;
+        }
+
+        // The decoded image is kept as source so the report quality can be changed later;
+        // a JPEG is its own source and reuses the hash of the original bytes
+        const sourceKey = await hashImageBlob(imageFile, imageFile === file ? contentHash : null);
+
+        // Compress image with the report's profile to reduce size
+        const working = await createWorkingImage(imageFile, sourceKey, state.compression, signal);
+        const compressedFile = working.blob;
+
+        // Create object URL for immediate display
+        const objectUrl = URL.createObjectURL(compressedFile);
+
+        // Folder groups were confirmed by the user: "Aplicar reglas" must not undo them
+        const folderGroup = groupByFolder ? applyGroupingRule({ type: 'folder' }, file.name, sourcePath) : null;
+
+        const perceptualHash = await computePerceptualHash(objectUrl);
+        const thumbnail = await createThumbnail(objectUrl, PHOTO_THUMBNAIL_SIZE).catch(() => null);
+
+        // The editor builds base64Data from compressedFile when it needs it
+        return {
+            id: generateUniqueId(),
+            originalName: file.name,
+            compressedFile: compressedFile,
+            objectUrl: objectUrl,
+            base64Data: null,
+            imageKey: working.key,
+            thumbnail: thumbnail,
+            sourceImageKey: sourceKey,
+            sourceBlob: imageFile,
+            group: folderGroup || extractGroupName(file.name, sourcePath),
+            groupLocked: !!folderGroup,
+            sourcePath: sourcePath,
+            caption: '',
+            status: '',
+            slot: '',
+            exif: exif,
+            contentHash: contentHash,
+            perceptualHash: perceptualHash
+        };
+    } catch (error) {
+        // A cancelled compression is not an import error
+        if (!isCancelError(error)) {
+            console.error('Error processing file:', file.name, error);
+            recordImportError(importErrors, sourcePath || file.name, 'No se pudo procesar la imagen');
+        }
+        return null;
+    }
+}
+
+/**
+ * Compress image to reduce file size and dimensions
+ * Runs in the compression workers when the browser supports it, on the main thread otherwise.
+ * @param {File|Blob} file - Original image file
+ * @param {Object} [profile] - { quality, maxSize } from COMPRESSION_PROFILES; a null maxSize keeps the dimensions
+ * @param {AbortSignal} [signal] - Aborting drops this compression only
+ * @returns {Promise<Blob>} - Compressed image; rejects with an AbortError when cancelled
+ */
+async function compressImage(file, profile = COMPRESSION_PROFILES[DEFAULT_COMPRESSION_PROFILE], signal = null) {
+    if (supportsWorkerCompression()) {
+        try {
+            const result = await getCompressionPool().run({ blob: file, quality: profile.quality, maxSize: profile.maxSize }, signal);
+            return result.blob;
+        } catch (error) {
+            if (isCancelError(error)) throw error;
+            console.warn('Worker compression failed, using the main thread:', error);
+        }
+    }
+
+    // Compressor cannot be stopped once started: a cancel is only noticed before it
+    if (signal && signal.aborted) {
+        throw new DOMException('Operación cancelada', 'AbortError');
+    }
+    return compressImageWithCompressor(file, profile);
+}
+
+/**
+ * Compress image on the main thread with Compressor.js
+ * @param {File|Blob} file - Original image file
+ * @param {Object} profile - { quality, maxSize }
+ * @returns {Promise<File>} - Compressed image file
+ */
+function compressImageWithCompressor(file, profile) {
+    return new Promise((resolve, reject) => {
+        const options = {
+            quality: profile.quality,
+            maxWidth: profile.maxSize || Infinity,
+            maxHeight: profile.maxSize || Infinity,
+            strict: false,
+            success(result) {
+                resolve(result);
+            },
+            error(error) {
+                reject(error);
+            }
+        };
+
+        new Compressor(file, options);
+    });
+}
+
+/**
+ * Build the image a photo shows and embeds in the PDF from its source image
+ * @param {Blob} sourceBlob - Source image
+ * @param {string} sourceKey - Content key of the source image
+ * @param {string} profileKey - Key of COMPRESSION_PROFILES
+ * @param {AbortSignal} [signal] - Aborting stops the compression
+ * @returns {Promise<Object>} - { blob, key }
+ */
+async function createWorkingImage(sourceBlob, sourceKey, profileKey, signal = null) {
+    let profile = COMPRESSION_PROFILES[profileKey] || COMPRESSION_PROFILES[DEFAULT_COMPRESSION_PROFILE];
+    if (profile.quality === null) {
+        // jsPDF embeds the JPEG bytes without the EXIF rotation browsers apply to previews:
+        // rotated photos are re-encoded upright at full size and quality
+        if (await readJpegOrientation(sourceBlob) === 1) {
+            return { blob: sourceBlob, key: sourceKey };
+        }
+        profile = { quality: 1, maxSize: null };
+    }
+
+    const blob = await compressImage(sourceBlob, profile, signal);
+    return { blob: blob, key: await hashImageBlob(blob) };
+}
+
+/**
+ * Update upload progress bar
+ * @param {number} current - Current progress
+ * @param {number} total - Total files
+ */
+function updateProgress(current, total) {
+    const percentage = (current / total) * 100;
+    const progressFill = document.getElementById('progress-fill');
+    const progressCount = document.getElementById('progress-count');
+    if (progressFill) progressFill.style.width = percentage + '%';
+    if (progressCount) progressCount.textContent = `${current}/${total}`;
+}
+
+// ================================
+// Photo Grouping Logic
+// ================================
+
+/**
+ * Extract group name from filename
+ * @param {string} filename - The filename to process
+ * @param {string} [sourcePath] - Relative path of the file (folder imports)
+ * @param {Array} [rules] - Grouping rules, defaults to the active profile's rules
+ * @returns {string} - The group name (base ID)
+ */
+function extractGroupName(filename, sourcePath = '', rules = getActiveGroupingRules()) {
+    const nameWithoutExt = filename.replace(/\.[^/.]+$/, '');
+
+    for (const rule of rules) {
+        const groupName = applyGroupingRule(rule, nameWithoutExt, sourcePath);
+        if (groupName) {
+            return groupName;
+        }
+    }
+
+    const upperName = nameWithoutExt.toUpperCase();
+    const groupPattern = /^([A-Z0-9]+)/;
+    const match = upperName.match(groupPattern);
+
+    if (match) {
+        return match[1];
+    }
+    return upperName;
+}
+
+// ================================
+// Grouping Rules (per project profile)
+// ================================
+
+const DEFAULT_PROFILE_ID = 'profile_default';
+const ACTIVE_PROFILE_KEY = 'activeProfileId';
+
+const GROUPING_RULE_TYPES = {
+    regex: 'Expresión regular',
+    separator: 'Separador',
+    folder: 'Nombre de carpeta'
+};
+
+// User regexes run against every imported file and on every keystroke of the preview: long
+// patterns and nested quantifiers such as (a+)+ are refused, since backtracking on them can
+// freeze the tab
+const GROUPING_REGEX_MAX_LENGTH = 200;
+const NESTED_QUANTIFIER_PATTERN = /\((?:\\.|\[(?:\\.|[^\]\\])*\]|[^()\\[])*(?:[+*]|\{\d+,\d*\})(?:\\.|\[(?:\\.|[^\]\\])*\]|[^()\\[])*\)(?:[+*]|\{\d+,)/;
+// The live preview groups at most this many photos and waits for typing to pause
+const GROUPING_PREVIEW_SAMPLE = 300;
+const GROUPING_PREVIEW_DELAY = 250;
+
+let groupingRulesDraft = [];
+let groupingRulesProfileId = null;
+let groupingPreviewTimer = null;
+// Compiled rule regexes by pattern, so each rule compiles once and not once per file
+const groupingRegexCache = new Map();
+let availableProfiles = [];
+
+/**
+ * Create an empty project profile
+ * @param {string} id - Profile ID
+ * @param {string} name - Display name
+ * @returns {Object} - Profile object
+ */
+function createProfile(id, name) {
+    return {
+        id: id,
+        name: name,
+        groupingRules: [],
+        checklists: [],
+        checklistPolicy: DEFAULT_CHECKLIST_POLICY,
+        complianceSummary: false,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Load the project profiles from IndexedDB and select the active one
+ */
+async function loadActiveProfile() {
+    try {
+        availableProfiles = await getAllProfilesFromDB();
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+        availableProfiles = [];
+    }
+
+    if (!availableProfiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+        const defaultProfile = createProfile(DEFAULT_PROFILE_ID, 'Predeterminado');
+        availableProfiles.unshift(defaultProfile);
+        try {
+            await saveProfileToDB(defaultProfile);
+        } catch (error) {
+            console.error('Error saving default profile:', error);
+        }
+    }
+
+    const activeId = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    state.profile = availableProfiles.find(p => p.id === activeId) ||
+        availableProfiles.find(p => p.id === DEFAULT_PROFILE_ID);
+}
+
+/**
+ * Make a profile the active one
+ * @param {string} profileId - ID of the profile
+ * @returns {boolean} - Whether the profile exists
+ */
+function setActiveProfile(profileId) {
+    const profile = availableProfiles.find(p => p.id === profileId);
+    if (!profile) return false;
+
+    state.profile = profile;
+    localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+    return true;
+}
+
+/**
+ * Get the grouping rules of the active profile
+ * @returns {Array} - Grouping rules
+ */
+function getActiveGroupingRules() {
+    return (state.profile && state.profile.groupingRules) || [];
+}
+
+/**
+ * Apply a single grouping rule
+ * @param {Object} rule - Rule definition ({ type, pattern, separator })
+ * @param {string} name - Filename without extension
+ * @param {string} sourcePath - Relative path of the file
+ * @returns {string|null} - Group name or null if the rule does not match
+ */
+function applyGroupingRule(rule, name, sourcePath) {
+    switch (rule.type) {
+        case 'regex': {
+            const regex = compileGroupingRegex(rule.pattern);
+            if (!regex) return null;
+            const match = name.match(regex);
+            if (!match) return null;
+            const value = (match.groups && match.groups.group) || match[1] || match[0];
+            return value ? value.trim().toUpperCase() : null;
+        }
+        case 'separator': {
+            if (!rule.separator) return null;
+            const index = name.indexOf(rule.separator);
+            if (index <= 0) return null;
+            return name.substring(0, index).trim().toUpperCase() || null;
+        }
+        case 'folder': {
+            const folders = (sourcePath || '').split('/').slice(0, -1).filter(Boolean);
+            if (folders.length === 0) return null;
+            return folders[folders.length - 1].trim().toUpperCase();
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Compile a user-entered grouping regex, reusing the earlier compilation of the same pattern
+ * @param {string} pattern - Regex source
+ * @returns {RegExp|null} - Compiled regex or null if invalid, too long or prone to backtracking
+ */
+function compileGroupingRegex(pattern) {
+    if (!pattern) return null;
+    if (groupingRegexCache.has(pattern)) {
+        return groupingRegexCache.get(pattern);
+    }
+
+    let regex = null;
+    if (pattern.length <= GROUPING_REGEX_MAX_LENGTH && !NESTED_QUANTIFIER_PATTERN.test(pattern)) {
+        try {
+            regex = new RegExp(pattern, 'i');
+        } catch (error) {
+            regex = null;
+        }
+    }
+
+    // Typing leaves a pattern per keystroke behind
+    if (groupingRegexCache.size >= 100) {
+        groupingRegexCache.clear();
+    }
+    groupingRegexCache.set(pattern, regex);
+    return regex;
+}
+
+/**
+ * Recompute the group of every photo with the active profile's rules
+ */
+function regroupPhotosByRules() {
+    for (const photo of state.photos) {
+        // Photos moved or renamed by hand keep their group
+        if (photo.groupLocked) continue;
+        photo.group = extractGroupName(photo.originalName, photo.sourcePath);
+    }
+    groupPhotos();
+}
+
+/**
+ * Show the grouping rules editor
+ */
+function showGroupingRules() {
+    const modal = document.getElementById('grouping-rules-modal');
+    if (!modal) return;
+
+    loadGroupingRulesDraft(state.profile ? state.profile.id : DEFAULT_PROFILE_ID);
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Close the grouping rules editor without applying changes
+ */
+function closeGroupingRulesModal() {
+    const modal = document.getElementById('grouping-rules-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * Load the rules of a profile into the editor
+ * @param {string} profileId - ID of the profile to edit
+ */
+function loadGroupingRulesDraft(profileId) {
+    const profile = availableProfiles.find(p => p.id === profileId) || state.profile;
+    groupingRulesProfileId = profile.id;
+    groupingRulesDraft = profile.groupingRules.map(rule => ({ ...rule }));
+
+    renderProfileSelect();
+    renderGroupingRules();
+}
+
+/**
+ * Render the profile selector of the rules editor
+ */
+function renderProfileSelect() {
+    const select = document.getElementById('profile-select');
+    if (!select) return;
+
+    select.innerHTML = availableProfiles.map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile.id === groupingRulesProfileId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+    `).join('');
+}
+
+/**
+ * Create a new project profile from the rules editor
+ */
+async function createNewProfile() {
+    const name = prompt('Nombre del nuevo perfil de proyecto:');
+    if (!name || !name.trim()) return;
+
+    const profile = createProfile('profile_' + Date.now(), name.trim());
+    try {
+        await saveProfileToDB(profile);
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        alert('Error al crear el perfil: ' + error.message);
+        return;
+    }
+
+    availableProfiles.push(profile);
+    loadGroupingRulesDraft(profile.id);
+}
+
+/**
+ * Render the editable list of grouping rules
+ */
+function renderGroupingRules() {
+    const list = document.getElementById('rules-list');
+    if (!list) return;
+
+    if (groupingRulesDraft.length === 0) {
+        list.innerHTML = '<p class="rules-empty">Sin reglas: se usa el prefijo alfanumérico del nombre (ej: CR129_1.jpg → CR129).</p>';
+    } else {
+        list.innerHTML = groupingRulesDraft.map((rule, index) => createGroupingRuleRow(rule, index)).join('');
+    }
+
+    renderGroupingRulesPreview();
+}
+
+/**
+ * Create the HTML of a rule row
+ * @param {Object} rule - Rule definition
+ * @param {number} index - Position of the rule
+ * @returns {string} - HTML string for the rule row
+ */
+function createGroupingRuleRow(rule, index) {
+    const typeOptions = Object.entries(GROUPING_RULE_TYPES).map(([value, label]) =>
+        `<option value="${value}" ${rule.type === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    let valueInput = '<span class="rule-hint">Usa la carpeta que contiene la foto</span>';
+    if (rule.type === 'regex') {
+        const invalid = rule.pattern && !compileGroupingRegex(rule.pattern);
+        valueInput = `<input type="text" class="rule-value${invalid ? ' invalid' : ''}" value="${escapeHtml(rule.pattern || '')}"
+            placeholder="^(?<group>[A-Z]+-\\d+)" maxlength="${GROUPING_REGEX_MAX_LENGTH}"
+            title="Hasta ${GROUPING_REGEX_MAX_LENGTH} caracteres, sin cuantificadores anidados como (a+)+" oninput="updateGroupingRule(${index}, 'pattern', this.value)">`;
+    } else if (rule.type === 'separator') {
+        valueInput = `<input type="text" class="rule-value" value="${escapeHtml(rule.separator || '')}"
+            placeholder="_" oninput="updateGroupingRule(${index}, 'separator', this.value)">`;
+    }
+
+    return `
+        <div class="rule-row">
+            <span class="rule-order">${index + 1}</span>
+            <select onchange="changeGroupingRuleType(${index}, this.value)">${typeOptions}</select>
+            ${valueInput}
+            <button class="btn-remove-rule" onclick="removeGroupingRule(${index})" title="Eliminar regla">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Add an empty rule to the editor
+ */
+function addGroupingRule() {
+    groupingRulesDraft.push({ type: 'separator', separator: '_' });
+    renderGroupingRules();
+}
+
+/**
+ * Remove a rule from the editor
+ * @param {number} index - Position of the rule
+ */
+function removeGroupingRule(index) {
+    groupingRulesDraft.splice(index, 1);
+    renderGroupingRules();
+}
+
+/**
+ * Change the type of a rule
+ * @param {number} index - Position of the rule
+ * @param {string} type - New rule type
+ */
+function changeGroupingRuleType(index, type) {
+    groupingRulesDraft[index] = { type: type, pattern: '', separator: type === 'separator' ? '_' : '' };
+    renderGroupingRules();
+}
+
+/**
+ * Update a rule field while typing (keeps focus, refreshes the preview)
+ * @param {number} index - Position of the rule
+ * @param {string} field - Field to update
+ * @param {string} value - New value
+ */
+function updateGroupingRule(index, field, value) {
+    groupingRulesDraft[index][field] = value;
+
+    if (field === 'pattern') {
+        const input = document.querySelectorAll('#rules-list .rule-row')[index].querySelector('.rule-value');
+        input.classList.toggle('invalid', !!value && !compileGroupingRegex(value));
+    }
+
+    clearTimeout(groupingPreviewTimer);
+    groupingPreviewTimer = setTimeout(renderGroupingRulesPreview, GROUPING_PREVIEW_DELAY);
+}
+
+/**
+ * Render a live preview of the grouping produced by the draft rules
+ */
+function renderGroupingRulesPreview() {
+    clearTimeout(groupingPreviewTimer);
+    groupingPreviewTimer = null;
+    const preview = document.getElementById('rules-preview');
+    if (!preview) return;
+
+    if (state.photos.length === 0) {
+        preview.innerHTML = '<p class="rules-empty">Carga fotografías para ver la vista previa.</p>';
+        return;
+    }
+
+    const samplePhotos = state.photos.slice(0, GROUPING_PREVIEW_SAMPLE);
+    const previewGroups = {};
+    for (const photo of samplePhotos) {
+        const groupName = extractGroupName(photo.originalName, photo.sourcePath, groupingRulesDraft);
+        if (!previewGroups[groupName]) {
+            previewGroups[groupName] = [];
+        }
+        previewGroups[groupName].push(photo.originalName);
+    }
+
+    const groupNames = Object.keys(previewGroups).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    preview.innerHTML = `
+        <p class="rules-preview-summary">${groupNames.length} grupo${groupNames.length !== 1 ? 's' : ''} · ${samplePhotos.length < state.photos.length ? `primeras ${samplePhotos.length} de ${state.photos.length}` : state.photos.length} fotografías</p>
+        ${groupNames.map(groupName => `
+            <div class="rules-preview-group">
+                <strong>${escapeHtml(groupName)}</strong>
+                <span>${previewGroups[groupName].length} · ${escapeHtml(previewGroups[groupName].slice(0, 3).join(', '))}${previewGroups[groupName].length > 3 ? '…' : ''}</span>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Save the draft rules to the profile, make it active and regroup the photos
+ */
+async function applyGroupingRules() {
+    const profile = availableProfiles.find(p => p.id === groupingRulesProfileId);
+    if (!profile) return;
+
+    profile.groupingRules = groupingRulesDraft
+        .filter(rule => rule.type === 'folder' || rule.pattern || rule.separator)
+        .map(rule => ({ ...rule }));
+    profile.updatedAt = new Date().toISOString();
+
+    try {
+        await saveProfileToDB(profile);
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        alert('Error al guardar las reglas: ' + error.message);
+        return;
+    }
+
+    setActiveProfile(profile.id);
+    closeGroupingRulesModal();
+
+    if (state.photos.length > 0) {
+        regroupPhotosByRules();
+        renderDashboard();
+    }
+
+    showNotification('Reglas de agrupación aplicadas');
+}
+
+/**
+ * Group photos by their group name
+ */
+function groupPhotos() {
+    state.groups = {};
+
+    // Groups created by hand stay visible even when they have no photos
+    for (const groupName of state.customGroups) {
+        state.groups[groupName] = [];
+    }
+
+    for (const photo of state.photos) {
+        const groupName = photo.group;
+        if (!state.groups[groupName]) {
+            state.groups[groupName] = [];
+        }
+        state.groups[groupName].push(photo);
+    }
+
+    // Sort photos within each group (manual order first, then by name)
+    for (const groupName in state.groups) {
+        state.groups[groupName].sort((a, b) => {
+            const hasIndexA = typeof a.sortIndex === 'number';
+            const hasIndexB = typeof b.sortIndex === 'number';
+            if (hasIndexA && hasIndexB) {
+                return a.sortIndex - b.sortIndex;
+            }
+            if (hasIndexA !== hasIndexB) {
+                return hasIndexA ? -1 : 1;
+            }
+            return a.originalName.localeCompare(b.originalName, undefined, { numeric: true });
+        });
+    }
+
+    // Sort groups
+    const sortedGroups = {};
+    Object.keys(state.groups).sort((a, b) => {
+        const numA = parseInt(a.replace(/[^0-9]/g, ''));
+        const numB = parseInt(b.replace(/[^0-9]/g, ''));
+        if (!isNaN(numA) && !isNaN(numB) && numA !== numB) {
+            return numA - numB;
+        }
+        return a.localeCompare(b, undefined, { sensitivity: 'base' });
+    }).forEach(key => {
+        sortedGroups[key] = state.groups[key];
+    });
+
+    state.groups = sortedGroups;
+}
+
+// ================================
+// Photo Checklists (per project profile)
+// ================================
+
+// What generatePDF does when required photos are missing
+const CHECKLIST_POLICIES = {
+    warn: 'Avisar y permitir generar',
+    block: 'Bloquear la generación'
+};
+const DEFAULT_CHECKLIST_POLICY = 'warn';
+
+// Missing slots listed in the generate warning before it is cut short
+const CHECKLIST_GAPS_SHOWN = 10;
+
+let checklistsDraft = [];
+
+/**
+ * Get the checklist templates of the active profile
+ * @returns {Array} - Templates ({ id, prefix, name, slots })
+ */
+function getActiveChecklists() {
+    return (state.profile && state.profile.checklists) || [];
+}
+
+/**
+ * Get what happens when a report with missing photos is generated
+ * @returns {string} - Key of CHECKLIST_POLICIES
+ */
+function getChecklistPolicy() {
+    const policy = state.profile && state.profile.checklistPolicy;
+    return CHECKLIST_POLICIES[policy] ? policy : DEFAULT_CHECKLIST_POLICY;
+}
+
+/**
+ * Find the template that applies to a group; the longest matching prefix wins
+ * @param {string} groupName - Name of the group
+ * @param {Array} [checklists] - Templates, defaults to the active profile's
+ * @returns {Object|null} - Template or null
+ */
+function findChecklistForGroup(groupName, checklists = getActiveChecklists()) {
+    const name = (groupName || '').toUpperCase();
+    let best = null;
+    checklists.forEach(checklist => {
+        const prefix = (checklist.prefix || '').toUpperCase();
+        if (prefix && name.startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+            best = checklist;
+        }
+    });
+    return best;
+}
+
+/**
+ * Compare the photos of a group with its template
+ * @param {string} groupName - Name of the group
+ * @param {Array} photos - Photos of the group
+ * @returns {Object|null} - { checklist, slots: [{ name, photos }], missing, complete } or null without template
+ */
+function getGroupChecklistStatus(groupName, photos) {
+    const checklist = findChecklistForGroup(groupName);
+    if (!checklist) return null;
+
+    const slots = checklist.slots.map(slotName => ({
+        name: slotName,
+        photos: photos.filter(photo => photo.slot === slotName)
+    }));
+    const missing = slots.filter(slot => slot.photos.length === 0).map(slot => slot.name);
+
+    return { checklist: checklist, slots: slots, missing: missing, complete: missing.length === 0 };
+}
+
+/**
+ * List the required photos missing from the report
+ * Empty groups are left out: they are not printed either.
+ * @returns {Array} - [{ group, missing: [slot names] }]
+ */
+function getChecklistGaps() {
+    const gaps = [];
+    Object.entries(state.groups).forEach(([groupName, photos]) => {
+        if (photos.length === 0) return;
+        const status = getGroupChecklistStatus(groupName, photos);
+        if (status && !status.complete) {
+            gaps.push({ group: groupName, missing: status.missing });
+        }
+    });
+    return gaps;
+}
+
+/**
+ * Check the checklists before generating the PDF; blocks or asks depending on the profile
+ * @returns {boolean} - Whether the PDF can be generated
+ */
+function confirmChecklistCompleteness() {
+    const gaps = getChecklistGaps();
+    if (gaps.length === 0) return true;
+
+    const lines = gaps.slice(0, CHECKLIST_GAPS_SHOWN).map(gap => `${gap.group}: ${gap.missing.join(', ')}`);
+    if (gaps.length > CHECKLIST_GAPS_SHOWN) {
+        lines.push(`... y ${gaps.length - CHECKLIST_GAPS_SHOWN} grupos más`);
+    }
+    const message = 'Faltan fotografías obligatorias:\n\n- ' + lines.join('\n- ');
+
+    if (getChecklistPolicy() === 'block') {
+        alert(message + '\n\nCompleta las tomas antes de generar el PDF.');
+        return false;
+    }
+    return confirm(message + '\n\n¿Generar el PDF de todos modos?');
+}
+
+/**
+ * Build the compliance summary printed in the PDF
+ * @returns {Array} - [{ name, checklistName, slots: [{ name, filled }] }] for groups with a template
+ */
+function getComplianceSummary() {
+    const summary = [];
+    Object.entries(state.groups).forEach(([groupName, photos]) => {
+        if (photos.length === 0) return;
+        const status = getGroupChecklistStatus(groupName, photos);
+        if (!status) return;
+        summary.push({
+            name: groupName,
+            checklistName: status.checklist.name || status.checklist.prefix,
+            slots: status.slots.map(slot => ({ name: slot.name, filled: slot.photos.length > 0 }))
+        });
+    });
+    return summary;
+}
+
+/**
+ * Create the HTML of a group's checklist bar (filled and missing slots)
+ * @param {string} groupName - Name of the group
+ * @param {Array} photos - Photos of the group
+ * @returns {string} - HTML string, empty when the group has no template
+ */
+function createGroupChecklist(groupName, photos) {
+    const status = getGroupChecklistStatus(groupName, photos);
+    if (!status) return '';
+
+    const filled = status.slots.length - status.missing.length;
+    return `
+        <div class="group-checklist${status.complete ? ' complete' : ''}">
+            <span class="checklist-summary">${escapeHtml(status.checklist.name || status.checklist.prefix)} · ${filled}/${status.slots.length}</span>
+            ${status.slots.map(slot => `
+                <span class="checklist-slot ${slot.photos.length > 0 ? 'filled' : 'missing'}"
+                    title="${slot.photos.length > 0 ? escapeHtml(slot.photos.map(photo => photo.originalName).join(', ')) : 'Falta'}">${escapeHtml(slot.name)}</span>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Slot of a photo, when it is one of its group's template
+ * @param {Object} photo - Photo object
+ * @returns {string} - Slot name or empty
+ */
+function getPhotoSlotLabel(photo) {
+    const checklist = findChecklistForGroup(photo.group);
+    return checklist && photo.slot && checklist.slots.includes(photo.slot) ? photo.slot : '';
+}
+
+/**
+ * Create the slot selector of a photo whose group has a template
+ * @param {Object} photo - Photo object
+ * @returns {string} - HTML string, empty when the group has no template
+ */
+function createPhotoSlotSelect(photo) {
+    const checklist = findChecklistForGroup(photo.group);
+    if (!checklist) return '';
+
+    return `
+        <select class="photo-slot" onchange="updatePhotoSlot(this.closest('.photo-item').dataset.photoId, this.value)">
+            <option value="">Sin toma asignada</option>
+            ${checklist.slots.map(slot =>
+                `<option value="${escapeHtml(slot)}" ${photo.slot === slot ? 'selected' : ''}>${escapeHtml(slot)}</option>`
+            ).join('')}
+        </select>
+    `;
+}
+
+/**
+ * Assign a photo to a required slot of its group
+ * @param {string} photoId - ID of the photo
+ * @param {string} slot - Slot name or empty
+ */
+function updatePhotoSlot(photoId, slot) {
+    const photo = state.photos.find(p => p.id === photoId);
+    if (!photo) return;
+
+    photo.slot = slot;
+
+    // Only the checklist bar of the card changes; the rest keeps focus and scroll
+    const item = document.querySelector(`.photo-item[data-photo-id="${photoId}"]`);
+    const bar = item && item.closest('.group-card').querySelector('.group-checklist');
+    if (bar) {
+        bar.outerHTML = createGroupChecklist(photo.group, state.groups[photo.group] || []);
+    }
+}
+
+/**
+ * Show the checklist templates editor for the active profile
+ */
+function showChecklistEditor() {
+    const modal = document.getElementById('checklists-modal');
+    if (!modal) return;
+
+    checklistsDraft = getActiveChecklists().map(checklist => ({ ...checklist, slots: checklist.slots.slice() }));
+    document.getElementById('checklists-profile').textContent = state.profile ? state.profile.name : '';
+    document.getElementById('checklist-policy').innerHTML = Object.entries(CHECKLIST_POLICIES).map(([value, label]) =>
+        `<option value="${value}" ${getChecklistPolicy() === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    document.getElementById('checklist-summary-page').checked = !!(state.profile && state.profile.complianceSummary);
+
+    renderChecklistTemplates();
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Close the checklist templates editor without saving
+ */
+function closeChecklistEditor() {
+    const modal = document.getElementById('checklists-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * Render the editable list of checklist templates
+ */
+function renderChecklistTemplates() {
+    const list = document.getElementById('checklists-list');
+    if (!list) return;
+
+    if (checklistsDraft.length === 0) {
+        list.innerHTML = '<p class="rules-empty">Sin plantillas: ningún grupo tiene fotografías obligatorias.</p>';
+        return;
+    }
+
+    list.innerHTML = checklistsDraft.map((checklist, index) => `
+        <div class="checklist-template">
+            <div class="rule-row">
+                <input type="text" class="checklist-prefix" value="${escapeHtml(checklist.prefix)}" placeholder="Prefijo (ARQ)"
+                    oninput="updateChecklistTemplate(${index}, 'prefix', this.value)">
+                <input type="text" class="checklist-name" value="${escapeHtml(checklist.name)}" placeholder="Nombre (Arqueta)"
+                    oninput="updateChecklistTemplate(${index}, 'name', this.value)">
+                <button class="btn-remove-rule" onclick="removeChecklistTemplate(${index})" title="Eliminar plantilla">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+            <textarea rows="3" placeholder="Una toma por línea: Vista general, Tapa abierta, Etiqueta..."
+                oninput="updateChecklistTemplate(${index}, 'slots', this.value)">${escapeHtml(checklist.slots.join('\n'))}</textarea>
+        </div>
+    `).join('');
+}
+
+/**
+ * Add an empty template to the editor
+ */
+function addChecklistTemplate() {
+    checklistsDraft.push({ id: 'checklist_' + Date.now(), prefix: '', name: '', slots: [] });
+    renderChecklistTemplates();
+}
+
+/**
+ * Remove a template from the editor
+ * @param {number} index - Position of the template
+ */
+function removeChecklistTemplate(index) {
+    checklistsDraft.splice(index, 1);
+    renderChecklistTemplates();
+}
+
+/**
+ * Update a template field while typing
+ * @param {number} index - Position of the template
+ * @param {string} field - prefix, name or slots (one per line)
+ * @param {string} value - New value
+ */
+function updateChecklistTemplate(index, field, value) {
+    if (field === 'slots') {
+        checklistsDraft[index].slots = value.split('\n').map(slot => slot.trim()).filter(Boolean);
+    } else if (field === 'prefix') {
+        checklistsDraft[index].prefix = normalizeGroupName(value);
+    } else {
+        checklistsDraft[index][field] = value.trim();
+    }
+}
+
+/**
+ * Save the templates and PDF options to the active profile
+ */
+async function saveChecklistTemplates() {
+    const profile = state.profile;
+    if (!profile) return;
+
+    profile.checklists = checklistsDraft
+        .filter(checklist => checklist.prefix && checklist.slots.length > 0)
+        .map(checklist => ({
+            ...checklist,
+            // The same slot twice could never be told apart
+            slots: checklist.slots.filter((slot, index) => checklist.slots.indexOf(slot) === index)
+        }));
+    profile.checklistPolicy = document.getElementById('checklist-policy').value;
+    profile.complianceSummary = document.getElementById('checklist-summary-page').checked;
+    profile.updatedAt = new Date().toISOString();
+
+    try {
+        await saveProfileToDB(profile);
+    } catch (error) {
+        console.error('Error saving profile:', error);
+        alert('Error al guardar las plantillas: ' + error.message);
+        return;
+    }
+
+    closeChecklistEditor();
+    if (state.photos.length > 0) {
+        renderDashboard();
+    }
+    showNotification('Fotografías obligatorias actualizadas');
+}
+
+// ================================
+// Branding Profiles
+// ================================
+
+const DEFAULT_BRANDING_ID = 'branding_default';
+const ACTIVE_BRANDING_KEY = 'activeBrandingId';
+const MAX_BRANDING_LOGOS = 4;
+const MAX_LOGO_SIZE = 2 * 1024 * 1024;
+
+let availableBrandings = [];
+let brandingDraft = null;
+
+/**
+ * Create a branding profile
+ * @param {string} id - Branding ID
+ * @param {string} name - Display name
+ * @returns {Object} - Branding object
+ */
+function createBranding(id, name) {
+    return {
+        id: id,
+        name: name,
+        // Logos are { name, src } where src is an asset path or an uploaded data URL
+        logos: [],
+        primaryColor: '#0056b3',
+        footerText: '',
+        fields: [],
+        cover: {
+            subtitle: '',
+            showCode: true,
+            showAuthor: true,
+            showDate: true,
+            showTotal: true
+        },
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Built-in branding matching the original Elecnor | Lyntia | Redes Carreras cover
+ * @returns {Object} - Branding object
+ */
+function createDefaultBranding() {
+    const branding = createBranding(DEFAULT_BRANDING_ID, 'Elecnor | Lyntia | Redes Carreras');
+    branding.logos = [
+        { name: 'Elecnor', src: 'assets/logo-elecnor.png' },
+        { name: 'Lyntia', src: 'assets/logo-lyntia.png' },
+        { name: 'Redes Carreras', src: 'assets/logo-redes.png' }
+    ];
+    branding.footerText = 'Generado por: Redes Carreras App';
+    return branding;
+}
+
+/**
+ * Load the branding profiles from IndexedDB and fill the report selector
+ */
+async function loadBrandings() {
+    try {
+        availableBrandings = await getAllBrandingsFromDB();
+    } catch (error) {
+        console.error('Error loading brandings:', error);
+        availableBrandings = [];
+    }
+
+    if (!availableBrandings.some(b => b.id === DEFAULT_BRANDING_ID)) {
+        const defaultBranding = createDefaultBranding();
+        availableBrandings.unshift(defaultBranding);
+        try {
+            await saveBrandingToDB(defaultBranding);
+        } catch (error) {
+            console.error('Error saving default branding:', error);
+        }
+    }
+
+    renderBrandingSelect(localStorage.getItem(ACTIVE_BRANDING_KEY));
+}
+
+/**
+ * Fill the branding selector of the report form
+ * @param {string} [selectedId] - Branding to select
+ */
+function renderBrandingSelect(selectedId) {
+    const select = document.getElementById('report-branding');
+    if (!select) return;
+
+    const current = selectedId || select.value;
+    select.innerHTML = availableBrandings.map(branding =>
+        `<option value="${escapeHtml(branding.id)}">${escapeHtml(branding.name)}</option>`
+    ).join('');
+    select.value = availableBrandings.some(b => b.id === current) ? current : DEFAULT_BRANDING_ID;
+}
+
+/**
+ * Get the branding selected for the current report
+ * @returns {Object} - Branding object
+ */
+function getSelectedBranding() {
+    const select = document.getElementById('report-branding');
+    const brandingId = select ? select.value : DEFAULT_BRANDING_ID;
+    return availableBrandings.find(b => b.id === brandingId) ||
+        availableBrandings.find(b => b.id === DEFAULT_BRANDING_ID) ||
+        createDefaultBranding();
+}
+
+/**
+ * Remember the branding chosen in the report form for the next report
+ * @param {string} brandingId - ID of the branding
+ */
+function selectReportBranding(brandingId) {
+    localStorage.setItem(ACTIVE_BRANDING_KEY, brandingId);
+    renderCustomFields();
+}
+
+/**
+ * Convert a hex colour to an RGB array for jsPDF
+ * @param {string} hex - Colour like #0056b3
+ * @returns {Array<number>} - [r, g, b]
+ */
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!match) return [0, 86, 179];
+    return [parseInt(match[1], 16), parseInt(match[2], 16), parseInt(match[3], 16)];
+}
+
+/**
+ * Show the branding profiles editor
+ */
+function showBrandingEditor() {
+    const modal = document.getElementById('branding-modal');
+    if (!modal) return;
+
+    loadBrandingDraft(getSelectedBranding().id);
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Close the branding profiles editor
+ */
+function closeBrandingEditor() {
+    const modal = document.getElementById('branding-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    brandingDraft = null;
+}
+
+/**
+ * Load a branding into the editor form
+ * @param {string} brandingId - ID of the branding to edit
+ */
+function loadBrandingDraft(brandingId) {
+    const branding = availableBrandings.find(b => b.id === brandingId) || getSelectedBranding();
+    brandingDraft = JSON.parse(JSON.stringify(branding));
+    brandingDraft.fields = brandingDraft.fields || [];
+
+    const select = document.getElementById('branding-select');
+    select.innerHTML = availableBrandings.map(b =>
+        `<option value="${escapeHtml(b.id)}">${escapeHtml(b.name)}</option>`
+    ).join('');
+    select.value = brandingDraft.id;
+
+    document.getElementById('branding-name').value = brandingDraft.name;
+    document.getElementById('branding-color').value = brandingDraft.primaryColor;
+    document.getElementById('branding-footer').value = brandingDraft.footerText;
+    document.getElementById('branding-subtitle').value = brandingDraft.cover.subtitle;
+    document.getElementById('branding-show-code').checked = brandingDraft.cover.showCode;
+    document.getElementById('branding-show-author').checked = brandingDraft.cover.showAuthor;
+    document.getElementById('branding-show-date').checked = brandingDraft.cover.showDate;
+    document.getElementById('branding-show-total').checked = brandingDraft.cover.showTotal;
+    document.getElementById('branding-delete').disabled = brandingDraft.id === DEFAULT_BRANDING_ID;
+
+    renderBrandingLogos();
+    renderBrandingFields();
+}
+
+/**
+ * Render the logo list of the branding being edited
+ */
+function renderBrandingLogos() {
+    const list = document.getElementById('branding-logos');
+    if (!list || !brandingDraft) return;
+
+    list.innerHTML = brandingDraft.logos.map((logo, index) => `
+        <div class="branding-logo">
+            <img src="${escapeHtml(logo.src)}" alt="${escapeHtml(logo.name)}">
+            <button class="btn-remove-rule" onclick="removeBrandingLogo(${index})" title="Quitar logo">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            </button>
+        </div>
+    `).join('') || '<p class="rules-empty">Sin logos: la portada se genera solo con texto.</p>';
+
+    document.getElementById('branding-logo-upload').classList.toggle('hidden', brandingDraft.logos.length >= MAX_BRANDING_LOGOS);
+}
+
+/**
+ * Add uploaded logos to the branding being edited
+ * @param {FileList} files - Selected image files
+ */
+async function addBrandingLogos(files) {
+    if (!brandingDraft) return;
+
+    for (const file of Array.from(files)) {
+        if (brandingDraft.logos.length >= MAX_BRANDING_LOGOS) break;
+        if (!file.type.match(/image\/(jpeg|jpg|png)/i)) continue;
+        if (file.size > MAX_LOGO_SIZE) {
+            alert(`El logo ${file.name} supera los 2 MB.`);
+            continue;
+        }
+
+        try {
+            const dataUrl = await fileToBase64(file);
+            brandingDraft.logos.push({ name: file.name.replace(/\.[^/.]+$/, ''), src: dataUrl });
+        } catch (error) {
+            console.error('Error reading logo:', file.name, error);
+        }
+    }
+
+    document.getElementById('branding-logo-input').value = '';
+    renderBrandingLogos();
+}
+
+/**
+ * Remove a logo from the branding being edited
+ * @param {number} index - Position of the logo
+ */
+function removeBrandingLogo(index) {
+    if (!brandingDraft) return;
+    brandingDraft.logos.splice(index, 1);
+    renderBrandingLogos();
+}
+
+/**
+ * Create a new branding profile in the editor
+ */
+async function createNewBranding() {
+    const name = prompt('Nombre del nuevo perfil de marca (cliente):');
+    if (!name || !name.trim()) return;
+
+    const branding = createBranding('branding_' + Date.now(), name.trim());
+    try {
+        await saveBrandingToDB(branding);
+    } catch (error) {
+        console.error('Error saving branding:', error);
+        alert('Error al crear el perfil de marca: ' + error.message);
+        return;
+    }
+
+    availableBrandings.push(branding);
+    renderBrandingSelect();
+    loadBrandingDraft(branding.id);
+}
+
+/**
+ * Save the branding being edited
+ */
+async function saveBranding() {
+    if (!brandingDraft) return;
+
+    brandingDraft.name = document.getElementById('branding-name').value.trim() || brandingDraft.name;
+    brandingDraft.primaryColor = document.getElementById('branding-color').value;
+    brandingDraft.footerText = document.getElementById('branding-footer').value.trim();
+    brandingDraft.cover = {
+        subtitle: document.getElementById('branding-subtitle').value.trim(),
+        showCode: document.getElementById('branding-show-code').checked,
+        showAuthor: document.getElementById('branding-show-author').checked,
+        showDate: document.getElementById('branding-show-date').checked,
+        showTotal: document.getElementById('branding-show-total').checked
+    };
+    brandingDraft.fields = brandingDraft.fields.filter(field => field.label.trim());
+    brandingDraft.updatedAt = new Date().toISOString();
+
+    try {
+        await saveBrandingToDB(brandingDraft);
+    } catch (error) {
+        console.error('Error saving branding:', error);
+        alert('Error al guardar el perfil de marca: ' + error.message);
+        return;
+    }
+
+    const index = availableBrandings.findIndex(b => b.id === brandingDraft.id);
+    availableBrandings[index] = brandingDraft;
+
+    renderBrandingSelect(brandingDraft.id);
+    selectReportBranding(brandingDraft.id);
+    renderCustomFields();
+    closeBrandingEditor();
+    showNotification('Perfil de marca guardado');
+}
+
+/**
+ * Delete the branding being edited
+ */
+async function deleteBranding() {
+    if (!brandingDraft || brandingDraft.id === DEFAULT_BRANDING_ID) return;
+    if (!confirm(`¿Eliminar el perfil de marca "${brandingDraft.name}"?`)) return;
+
+    try {
+        await deleteBrandingFromDB(brandingDraft.id);
+    } catch (error) {
+        console.error('Error deleting branding:', error);
+        alert('Error al eliminar el perfil de marca: ' + error.message);
+        return;
+    }
+
+    availableBrandings = availableBrandings.filter(b => b.id !== brandingDraft.id);
+    renderBrandingSelect();
+    renderCustomFields();
+    closeBrandingEditor();
+}
+
+// ================================
+// Custom Report Fields (per branding profile)
+// ================================
+
+const CUSTOM_FIELD_TYPES = {
+    text: 'Texto',
+    number: 'Número',
+    date: 'Fecha',
+    time: 'Hora',
+    select: 'Lista'
+};
+
+/**
+ * Get the field schema of a branding profile
+ * @param {Object} branding - Branding object
+ * @returns {Array} - Field definitions ({ id, label, type, options, required })
+ */
+function getBrandingFields(branding) {
+    return (branding && branding.fields) || [];
+}
+
+/**
+ * Render the custom fields of the selected branding into the report form
+ */
+function renderCustomFields() {
+    const container = document.getElementById('custom-fields');
+    if (!container) return;
+
+    const fields = getBrandingFields(getSelectedBranding());
+    container.innerHTML = fields.map(field => {
+        const value = state.customFieldValues[field.id] || '';
+        const inputId = escapeHtml(`custom-field-${field.id}`);
+        const handler = `data-field-id="${escapeHtml(field.id)}" oninput="updateCustomFieldValue(this.dataset.fieldId, this.value)"`;
+        let input;
+
+        if (field.type === 'select') {
+            input = `
+                <select id="${inputId}" data-field-id="${escapeHtml(field.id)}" onchange="updateCustomFieldValue(this.dataset.fieldId, this.value)">
+                    <option value="">Seleccionar...</option>
+                    ${(field.options || []).map(option =>
+                        `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>`
+                    ).join('')}
+                </select>`;
+        } else {
+            const type = CUSTOM_FIELD_TYPES[field.type] ? field.type : 'text';
+            input = `<input type="${type}" id="${inputId}" value="${escapeHtml(value)}" ${handler}>`;
+        }
+
+        return `
+            <div class="form-group">
+                <label for="${inputId}">${escapeHtml(field.label)}${field.required ? ' <span class="required-mark">*</span>' : ''}</label>
+                ${input}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Store the value of a custom field
+ * @param {string} fieldId - ID of the field
+ * @param {string} value - Entered value
+ */
+function updateCustomFieldValue(fieldId, value) {
+    state.customFieldValues[fieldId] = value;
+
+    const input = document.getElementById(`custom-field-${fieldId}`);
+    if (input) input.classList.remove('invalid');
+}
+
+/**
+ * Check required and number fields before generating the PDF
+ * @returns {Array<string>} - Error messages, empty if the form is valid
+ */
+function validateCustomFields() {
+    const errors = [];
+
+    for (const field of getBrandingFields(getSelectedBranding())) {
+        const value = (state.customFieldValues[field.id] || '').trim();
+        const input = document.getElementById(`custom-field-${field.id}`);
+        let error = null;
+
+        if (field.required && !value) {
+            error = `"${field.label}" es obligatorio`;
+        } else if (value && field.type === 'number' && isNaN(Number(value))) {
+            error = `"${field.label}" debe ser un número`;
+        }
+
+        if (input) input.classList.toggle('invalid', !!error);
+        if (error) errors.push(error);
+    }
+
+    return errors;
+}
+
+/**
+ * Get the filled custom fields as printable label/value pairs
+ * @param {Object} branding - Branding object
+ * @returns {Array<Object>} - Entries ({ label, value })
+ */
+function getCustomFieldEntries(branding) {
+    return getBrandingFields(branding)
+        .map(field => {
+            let value = (state.customFieldValues[field.id] || '').trim();
+            if (value && field.type === 'date') {
+                value = formatDate(value);
+            }
+            return { label: field.label, value: value };
+        })
+        .filter(entry => entry.value);
+}
+
+/**
+ * Render the field schema editor inside the branding editor
+ */
+function renderBrandingFields() {
+    const list = document.getElementById('branding-fields');
+    if (!list || !brandingDraft) return;
+
+    const fields = brandingDraft.fields;
+    if (fields.length === 0) {
+        list.innerHTML = '<p class="rules-empty">Sin campos adicionales.</p>';
+        return;
+    }
+
+    list.innerHTML = fields.map((field, index) => `
+        <div class="rule-row field-row">
+            <input type="text" class="rule-value" value="${escapeHtml(field.label)}" placeholder="Nombre del campo"
+                oninput="updateBrandingField(${index}, 'label', this.value)">
+            <select onchange="updateBrandingField(${index}, 'type', this.value)">
+                ${Object.entries(CUSTOM_FIELD_TYPES).map(([value, label]) =>
+                    `<option value="${value}" ${field.type === value ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+            ${field.type === 'select' ? `
+            <input type="text" class="rule-value" value="${escapeHtml((field.options || []).join(', '))}" placeholder="Opciones separadas por comas"
+                oninput="updateBrandingField(${index}, 'options', this.value)">` : ''}
+            <label class="field-required" title="Obligatorio">
+                <input type="checkbox" ${field.required ? 'checked' : ''} onchange="updateBrandingField(${index}, 'required', this.checked)"> Oblig.
+            </label>
+            <button class="btn-remove-rule" onclick="removeBrandingField(${index})" title="Eliminar campo">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Add an empty field to the branding being edited
+ */
+function addBrandingField() {
+    if (!brandingDraft) return;
+
+    brandingDraft.fields.push({
+        id: 'field_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+        label: '',
+        type: 'text',
+        options: [],
+        required: false
+    });
+    renderBrandingFields();
+}
+
+/**
+ * Update a property of a field in the branding being edited
+ * @param {number} index - Position of the field
+ * @param {string} key - Property to update
+ * @param {*} value - New value
+ */
+function updateBrandingField(index, key, value) {
+    const field = brandingDraft.fields[index];
+    if (key === 'options') {
+        field.options = value.split(',').map(option => option.trim()).filter(Boolean);
+    } else {
+        field[key] = value;
+    }
+
+    // Switching to/from "Lista" shows or hides the options input
+    if (key === 'type') {
+        renderBrandingFields();
+    }
+}
+
+/**
+ * Remove a field from the branding being edited
+ * @param {number} index - Position of the field
+ */
+function removeBrandingField(index) {
+    brandingDraft.fields.splice(index, 1);
+    renderBrandingFields();
+}
+
+// ================================
+// Manual Group Management
+// ================================
+
+let pendingGroupTarget = null;
+
+/**
+ * Normalize a group name typed by the user
+ * @param {string} name - Raw name
+ * @returns {string} - Trimmed, upper-cased name
+ */
+function normalizeGroupName(name) {
+    return (name || '').trim().toUpperCase();
+}
+
+/**
+ * Create an empty group to drop photos into
+ */
+function createEmptyGroup() {
+    const groupName = normalizeGroupName(prompt('Nombre del nuevo grupo:'));
+    if (!groupName) return;
+
+    if (state.groups[groupName]) {
+        alert('Ya existe un grupo con ese nombre.');
+        return;
+    }
+
+    state.customGroups.push(groupName);
+    groupPhotos();
+    renderDashboard();
+}
+
+/**
+ * Delete an empty group created by hand
+ * @param {string} groupName - Name of the group
+ */
+function deleteEmptyGroup(groupName) {
+    if (state.groups[groupName] && state.groups[groupName].length > 0) return;
+
+    state.customGroups = state.customGroups.filter(name => name !== groupName);
+    groupPhotos();
+    renderDashboard();
+}
+
+/**
+ * Rename a group (merges into the target if the new name already exists)
+ * @param {string} groupName - Current name of the group
+ */
+function renameGroup(groupName) {
+    const newName = normalizeGroupName(prompt('Nuevo nombre del grupo:', groupName));
+    if (!newName || newName === groupName) return;
+
+    if (state.groups[newName] &&
+        !confirm(`El grupo ${newName} ya existe. ¿Quieres combinar ${groupName} con ${newName}?`)) {
+        return;
+    }
+
+    moveGroupPhotos(groupName, newName);
+    mergeGroupDescription(groupName, newName);
+    mergeGroupLocation(groupName, newName);
+    state.customGroups = state.customGroups.map(name => name === groupName ? newName : name);
+    state.customGroups = state.customGroups.filter((name, index) => state.customGroups.indexOf(name) === index);
+
+    groupPhotos();
+    renderDashboard();
+}
+
+/**
+ * Move every photo of a group to another group, appending them at the end
+ * @param {string} sourceGroup - Group to empty
+ * @param {string} targetGroup - Group receiving the photos
+ */
+function moveGroupPhotos(sourceGroup, targetGroup) {
+    const targetPhotos = state.groups[targetGroup] || [];
+    const sourcePhotos = state.groups[sourceGroup] || [];
+    const orderedPhotos = targetPhotos.concat(sourcePhotos);
+
+    orderedPhotos.forEach((photo, index) => {
+        photo.group = targetGroup;
+        photo.groupLocked = true;
+        // Keep the visible order once two groups are combined
+        photo.sortIndex = targetPhotos.length > 0 ? index : null;
+    });
+}
+
+/**
+ * Carry a group's description over to the group it is renamed or merged into
+ * @param {string} sourceGroup - Group that disappears
+ * @param {string} targetGroup - Group that remains
+ */
+function mergeGroupDescription(sourceGroup, targetGroup) {
+    const sourceText = (state.groupDescriptions[sourceGroup] || '').trim();
+    const targetText = (state.groupDescriptions[targetGroup] || '').trim();
+    delete state.groupDescriptions[sourceGroup];
+
+    if (sourceText) {
+        state.groupDescriptions[targetGroup] = targetText ? targetText + '\n' + sourceText : sourceText;
+    }
+}
+
+/**
+ * Move a photo to a group, optionally before another photo of that group
+ * @param {string} photoId - ID of the photo to move
+ * @param {string} targetGroup - Destination group
+ * @param {string} [beforePhotoId] - Photo to insert before (end of group if omitted)
+ */
+function movePhoto(photoId, targetGroup, beforePhotoId = null) {
+    const photo = state.photos.find(p => p.id === photoId);
+    if (!photo || photoId === beforePhotoId) return;
+
+    const orderedPhotos = (state.groups[targetGroup] || []).filter(p => p.id !== photoId);
+    const insertAt = beforePhotoId ? orderedPhotos.findIndex(p => p.id === beforePhotoId) : -1;
+    orderedPhotos.splice(insertAt > -1 ? insertAt : orderedPhotos.length, 0, photo);
+
+    if (photo.group !== targetGroup) {
+        photo.group = targetGroup;
+        photo.groupLocked = true;
+    }
+    orderedPhotos.forEach((p, index) => {
+        p.sortIndex = index;
+    });
+
+    groupPhotos();
+    renderDashboard();
+}
+
+/**
+ * Ask for the group that receives a merge
+ * @param {string} groupName - Group to merge into another one
+ */
+function mergeGroup(groupName) {
+    openGroupTargetModal({ action: 'merge', source: groupName }, `Combinar ${groupName} con...`);
+}
+
+/**
+ * Ask for the group a photo should be moved to (alternative to drag and drop)
+ * @param {string} photoId - ID of the photo
+ */
+function choosePhotoGroup(photoId) {
+    const photo = state.photos.find(p => p.id === photoId);
+    if (!photo) return;
+    openGroupTargetModal({ action: 'move', source: photo.group, photoId: photoId }, `Mover ${photo.originalName} a...`);
+}
+
+/**
+ * Show the group selection modal
+ * @param {Object} target - Pending action ({ action: 'merge' | 'move' | 'capture', source, photoId })
+ * @param {string} title - Modal title
+ */
+function openGroupTargetModal(target, title) {
+    const modal = document.getElementById('group-target-modal');
+    const select = document.getElementById('group-target-select');
+    if (!modal || !select) return;
+
+    const options = Object.keys(state.groups).filter(name => name !== target.source);
+    if (target.action === 'merge' && options.length === 0) {
+        alert('No hay otros grupos con los que combinar.');
+        return;
+    }
+
+    pendingGroupTarget = target;
+    document.getElementById('group-target-title').textContent = title;
+    select.innerHTML = options.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('') +
+        (target.action !== 'merge' ? '<option value="__new__">+ Nuevo grupo...</option>' : '');
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Close the group selection modal
+ */
+function closeGroupTargetModal() {
+    const modal = document.getElementById('group-target-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    pendingGroupTarget = null;
+}
+
+/**
+ * Run the pending merge, move or capture with the selected group
+ */
+function confirmGroupTarget() {
+    const target = pendingGroupTarget;
+    let targetGroup = document.getElementById('group-target-select').value;
+    closeGroupTargetModal();
+    if (!target || !targetGroup) return;
+
+    if (targetGroup === '__new__') {
+        targetGroup = normalizeGroupName(prompt('Nombre del nuevo grupo:'));
+        if (!targetGroup) return;
+    }
+
+    if (target.action === 'merge') {
+        moveGroupPhotos(target.source, targetGroup);
+        mergeGroupDescription(target.source, targetGroup);
+        mergeGroupLocation(target.source, targetGroup);
+        state.customGroups = state.customGroups.filter(name => name !== target.source);
+        groupPhotos();
+        renderDashboard();
+    } else if (target.action === 'capture') {
+        startCameraCapture(targetGroup);
+    } else {
+        movePhoto(target.photoId, targetGroup);
+    }
+}
+
+/**
+ * Setup drag and drop of photos between and within group cards
+ */
+function setupGroupDragAndDrop() {
+    const groupsList = document.getElementById('groups-list');
+    if (!groupsList) return;
+
+    let draggedPhotoId = null;
+
+    const clearDropTargets = () => {
+        groupsList.querySelectorAll('.drop-target, .drop-before').forEach(el => {
+            el.classList.remove('drop-target', 'drop-before');
+        });
+    };
+
+    groupsList.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.photo-item');
+        if (!item) return;
+        draggedPhotoId = item.dataset.photoId;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', draggedPhotoId);
+        item.classList.add('dragging');
+    });
+
+    groupsList.addEventListener('dragend', (e) => {
+        const item = e.target.closest('.photo-item');
+        if (item) item.classList.remove('dragging');
+        clearDropTargets();
+        draggedPhotoId = null;
+    });
+
+    groupsList.addEventListener('dragover', (e) => {
+        const card = e.target.closest('.group-card');
+        if (!draggedPhotoId || !card || !card.dataset.group) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        clearDropTargets();
+        card.classList.add('drop-target');
+        const item = e.target.closest('.photo-item');
+        if (item && item.dataset.photoId !== draggedPhotoId) {
+            item.classList.add('drop-before');
+        }
+    });
+
+    groupsList.addEventListener('drop', (e) => {
+        const card = e.target.closest('.group-card');
+        if (!draggedPhotoId || !card || !card.dataset.group) return;
+        e.preventDefault();
+
+        const item = e.target.closest('.photo-item');
+        const beforePhotoId = item ? item.dataset.photoId : null;
+        const photoId = draggedPhotoId;
+        draggedPhotoId = null;
+        clearDropTargets();
+
+        movePhoto(photoId, card.dataset.group, beforePhotoId);
+    });
+}
+
+// ================================
+// Group Locations
+// ================================
+
+// Opened from the dashboard and the PDF with "latitude,longitude" appended
+const MAPS_SEARCH_URL = 'https://www.google.com/maps/search/?api=1&query=';
+
+// Decimals shown for group coordinates (about one metre)
+const LOCATION_DECIMALS = 5;
+
+// Basemap of the PDF map: municipalities, provinces and coastline of Spain (IGN data through es-atlas)
+const BASEMAP_URL = 'libs/es-atlas/municipalities.json';
+const BASEMAP_ATTRIBUTION = '© Instituto Geográfico Nacional';
+// Area taken around the groups, in multiples of their spread: the PDF frame never shows more than about 2
+const BASEMAP_VIEW_FACTOR = 2.5;
+// Smallest spread considered, in degrees (the PDF map shows at least about 200 m)
+const BASEMAP_MIN_SPAN = 0.002;
+// Wider views than this (degrees of latitude) show provinces instead of municipalities
+const BASEMAP_DETAIL_SPAN = 2;
+// Overview inset: Peninsula and Balearic Islands, grown to take in groups elsewhere
+const BASEMAP_OVERVIEW_BOUNDS = { west: -9.5, south: 35.9, east: 4.4, north: 43.8 };
+// Smallest distance kept between points of the overview provinces, in degrees (about 0.3 mm on the inset)
+const BASEMAP_OVERVIEW_TOLERANCE = 0.1;
+
+let basemapPromise = null;
+
+/**
+ * Get the GPS position of a photo
+ * @param {Object} photo - Photo object
+ * @returns {Object|null} - { latitude, longitude } or null without GPS
+ */
+function getPhotoCoordinates(photo) {
+    const exif = photo.exif;
+    if (!exif || !Number.isFinite(exif.latitude) || !Number.isFinite(exif.longitude)) return null;
+    // Some cameras write 0,0 when they had no fix
+    if (exif.latitude === 0 && exif.longitude === 0) return null;
+    return { latitude: exif.latitude, longitude: exif.longitude };
+}
+
+/**
+ * Get where a group is: the position entered by hand, otherwise the centre of its photos' GPS
+ * @param {string} groupName - Name of the group
+ * @param {Array} [photos] - Photos of the group, defaults to the current ones
+ * @returns {Object|null} - { latitude, longitude, source: 'manual' | 'gps', photoCount } or null
+ */
+function getGroupLocation(groupName, photos = state.groups[groupName] || []) {
+    const manual = state.groupLocations[groupName];
+    if (manual) {
+        return { latitude: manual.latitude, longitude: manual.longitude, source: 'manual', photoCount: 0 };
+    }
+
+    const points = photos.map(getPhotoCoordinates).filter(Boolean);
+    if (points.length === 0) return null;
+
+    // The photos of one CTO or arqueta are metres apart: a plain average is enough
+    return {
+        latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+        longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length,
+        source: 'gps',
+        photoCount: points.length
+    };
+}
+
+/**
+ * Format a position as "latitude, longitude"
+ * @param {Object} location - { latitude, longitude }
+ * @returns {string}
+ */
+function formatCoordinates(location) {
+    return `${location.latitude.toFixed(LOCATION_DECIMALS)}, ${location.longitude.toFixed(LOCATION_DECIMALS)}`;
+}
+
+/**
+ * Build the maps link of a position
+ * @param {Object} location - { latitude, longitude }
+ * @returns {string} - URL
+ */
+function getMapsUrl(location) {
+    return `${MAPS_SEARCH_URL}${location.latitude.toFixed(6)},${location.longitude.toFixed(6)}`;
+}
+
+/**
+ * Read coordinates typed by the user ("40.41678, -3.70379"; decimal commas are accepted)
+ * @param {string} text - Raw input
+ * @returns {Object|null} - { latitude, longitude } or null if invalid
+ */
+function parseCoordinates(text) {
+    const match = (text || '').trim().match(/^(-?\d+(?:[.,]\d+)?)\s*[,;\s]\s*(-?\d+(?:[.,]\d+)?)$/);
+    if (!match) return null;
+
+    const latitude = parseFloat(match[1].replace(',', '.'));
+    const longitude = parseFloat(match[2].replace(',', '.'));
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { latitude, longitude };
+}
+
+/**
+ * Enter or clear the position of a group by hand
+ * @param {string} groupName - Name of the group
+ */
+function editGroupLocation(groupName) {
+    const manual = state.groupLocations[groupName];
+    const input = prompt(
+        'Coordenadas del grupo (latitud, longitud).\nDéjalo vacío para usar el GPS de las fotografías.',
+        manual ? formatCoordinates(manual) : ''
+    );
+    if (input === null) return;
+
+    if (!input.trim()) {
+        delete state.groupLocations[groupName];
+    } else {
+        const location = parseCoordinates(input);
+        if (!location) {
+            alert('Coordenadas no válidas. Usa el formato: 40.41678, -3.70379');
+            return;
+        }
+        state.groupLocations[groupName] = location;
+    }
+
+    renderDashboard();
+}
+
+/**
+ * Keep only valid positions from a stored report (packages and drafts may carry anything)
+ * @param {Object} [locations] - Group name -> { latitude, longitude }
+ * @returns {Object}
+ */
+function sanitizeGroupLocations(locations) {
+    const valid = {};
+    Object.entries(locations || {}).forEach(([groupName, location]) => {
+        if (location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude) &&
+            Math.abs(location.latitude) <= 90 && Math.abs(location.longitude) <= 180) {
+            valid[groupName] = { latitude: location.latitude, longitude: location.longitude };
+        }
+    });
+    return valid;
+}
+
+/**
+ * Carry a position entered by hand over to the group it is renamed or merged into
+ * The remaining group keeps its own position if it has one.
+ * @param {string} sourceGroup - Group that disappears
+ * @param {string} targetGroup - Group that remains
+ */
+function mergeGroupLocation(sourceGroup, targetGroup) {
+    const sourceLocation = state.groupLocations[sourceGroup];
+    delete state.groupLocations[sourceGroup];
+
+    if (sourceLocation && !state.groupLocations[targetGroup]) {
+        state.groupLocations[targetGroup] = sourceLocation;
+    }
+}
+
+/**
+ * Create the HTML of a group's location line
+ * @param {string} groupName - Name of the group
+ * @param {Array} photos - Photos of the group
+ * @returns {string} - HTML string
+ */
+function createGroupLocation(groupName, photos) {
+    const location = getGroupLocation(groupName, photos);
+    let source = 'Sin ubicación';
+    if (location) {
+        source = location.source === 'manual'
+            ? 'Introducida a mano'
+            : `GPS de ${location.photoCount} fotografía${location.photoCount !== 1 ? 's' : ''}`;
+    }
+
+    return `
+        <div class="group-location${location ? '' : ' empty'}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0118 0z"/>
+                <circle cx="12" cy="10" r="3"/>
+            </svg>
+            ${location ? `<a href="${getMapsUrl(location)}" target="_blank" rel="noopener">${formatCoordinates(location)}</a>` : ''}
+            <span class="group-location-source">${source}</span>
+            <button class="group-location-edit" onclick="editGroupLocation(this.closest('.group-card').dataset.group)">
+                ${state.groupLocations[groupName] ? 'Editar' : 'Introducir a mano'}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Load the basemap once; a failed load is tried again next time
+ * @returns {Promise<Object>} - Basemap from decodeBasemap
+ */
+function loadBasemap() {
+    if (!basemapPromise) {
+        basemapPromise = fetch(BASEMAP_URL)
+            .then(response => {
+                if (!response.ok) throw new Error('Could not load ' + BASEMAP_URL);
+                return response.json();
+            })
+            .then(decodeBasemap)
+            .catch(error => {
+                basemapPromise = null;
+                throw error;
+            });
+    }
+    return basemapPromise;
+}
+
+/**
+ * Decode the quantized TopoJSON of the basemap into arcs in degrees and the areas built from them
+ * @param {Object} topology - TopoJSON with municipalities and provinces objects
+ * @returns {Object} - { bounds, arcs, arcBounds, municipalities, provinces }
+ *   Areas are { name, polygons: [[ring of arc indexes]], arcIndexes, bounds }
+ */
+function decodeBasemap(topology) {
+    const [scaleX, scaleY] = topology.transform.scale;
+    const [translateX, translateY] = topology.transform.translate;
+
+    // Arc positions are deltas from the previous one
+    const arcs = topology.arcs.map(arc => {
+        let x = 0;
+        let y = 0;
+        return arc.map(([dx, dy]) => {
+            x += dx;
+            y += dy;
+            return [x * scaleX + translateX, y * scaleY + translateY];
+        });
+    });
+    const arcBounds = arcs.map(getPointsBounds);
+
+    const decodeAreas = object => object.geometries
+        .filter(geometry => geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')
+        .map(geometry => {
+            const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs;
+            // A negative index is the arc ~index walked backwards
+            const arcIndexes = [...new Set(polygons.flat(2).map(index => index < 0 ? ~index : index))];
+            return {
+                name: geometry.properties && geometry.properties.name || '',
+                polygons,
+                arcIndexes,
+                bounds: mergeBounds(arcIndexes.map(index => arcBounds[index]))
+            };
+        });
+
+    const [west, south, east, north] = topology.bbox;
+    return {
+        bounds: { west, south, east, north },
+        arcs,
+        arcBounds,
+        municipalities: decodeAreas(topology.objects.municipalities),
+        provinces: decodeAreas(topology.objects.provinces)
+    };
+}
+
+/**
+ * Get the bounding box of [longitude, latitude] points
+ * @param {Array} points - Points
+ * @returns {Object} - { west, south, east, north }
+ */
+function getPointsBounds(points) {
+    const bounds = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+    points.forEach(([longitude, latitude]) => {
+        bounds.west = Math.min(bounds.west, longitude);
+        bounds.east = Math.max(bounds.east, longitude);
+        bounds.south = Math.min(bounds.south, latitude);
+        bounds.north = Math.max(bounds.north, latitude);
+    });
+    return bounds;
+}
+
+/**
+ * Get the bounding box of several bounding boxes
+ * @param {Array} boundsList - Bounding boxes
+ * @returns {Object} - { west, south, east, north }
+ */
+function mergeBounds(boundsList) {
+    return {
+        west: Math.min(...boundsList.map(bounds => bounds.west)),
+        south: Math.min(...boundsList.map(bounds => bounds.south)),
+        east: Math.max(...boundsList.map(bounds => bounds.east)),
+        north: Math.max(...boundsList.map(bounds => bounds.north))
+    };
+}
+
+/**
+ * Check whether two bounding boxes overlap
+ * @param {Object} a - { west, south, east, north }
+ * @param {Object} b - { west, south, east, north }
+ * @returns {boolean}
+ */
+function boundsIntersect(a, b) {
+    return a.west <= b.east && b.west <= a.east && a.south <= b.north && b.south <= a.north;
+}
+
+/**
+ * Check whether a position is inside a bounding box
+ * @param {Object} bounds - { west, south, east, north }
+ * @param {Object} location - { latitude, longitude }
+ * @returns {boolean}
+ */
+function boundsContain(bounds, location) {
+    return location.longitude >= bounds.west && location.longitude <= bounds.east &&
+        location.latitude >= bounds.south && location.latitude <= bounds.north;
+}
+
+/**
+ * Join the arcs of a ring into one list of points
+ * @param {Array} arcs - Decoded arcs
+ * @param {Array} ring - Arc indexes
+ * @returns {Array} - [longitude, latitude] points
+ */
+function buildBasemapRing(arcs, ring) {
+    const points = [];
+    ring.forEach(index => {
+        const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+        // Each arc starts where the previous one ended
+        points.push(...(points.length > 0 ? arc.slice(1) : arc));
+    });
+    return points;
+}
+
+/**
+ * Find the municipality a position falls in
+ * @param {Object} basemap - Basemap from decodeBasemap
+ * @param {Object} location - { latitude, longitude }
+ * @returns {string} - Municipality name, empty when it falls in none (sea, abroad)
+ */
+function findMunicipality(basemap, location) {
+    const point = [location.longitude, location.latitude];
+    const municipality = basemap.municipalities.find(area =>
+        boundsContain(area.bounds, location) &&
+        area.polygons.some(polygon => {
+            // Even-odd over all rings, so enclaves and holes are left out
+            let inside = false;
+            polygon.forEach(ring => {
+                if (isPointInRing(point, buildBasemapRing(basemap.arcs, ring))) inside = !inside;
+            });
+            return inside;
+        })
+    );
+    return municipality ? municipality.name : '';
+}
+
+/**
+ * Ray casting point-in-polygon test
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array} ring - [longitude, latitude] points
+ * @returns {boolean}
+ */
+function isPointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Drop points closer than a tolerance to the last one kept (the ends always stay)
+ * @param {Array} points - [longitude, latitude] points
+ * @param {number} tolerance - Distance in degrees
+ * @returns {Array}
+ */
+function thinPoints(points, tolerance) {
+    if (tolerance <= 0 || points.length <= 2) return points;
+    const kept = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+        const last = kept[kept.length - 1];
+        if (Math.abs(points[i][0] - last[0]) >= tolerance || Math.abs(points[i][1] - last[1]) >= tolerance) {
+            kept.push(points[i]);
+        }
+    }
+    kept.push(points[points.length - 1]);
+    return kept;
+}
+
+/**
+ * Load the basemap for the PDF map
+ * @param {Array} locations - Positions of the groups that have one
+ * @returns {Promise<Object|null>} - Basemap, or null when no group has a position, some group is
+ *   outside Spain or the file cannot be loaded (the PDF then shows the positions on a plain grid)
+ */
+async function loadPdfBasemap(locations) {
+    if (locations.length === 0) return null;
+    try {
+        const basemap = await loadBasemap();
+        return locations.every(location => boundsContain(basemap.bounds, location)) ? basemap : null;
+    } catch (error) {
+        console.warn('Basemap not available:', error);
+        return null;
+    }
+}
+
+/**
+ * Cut the basemap down to what the PDF map shows around the groups
+ * @param {Object} basemap - Basemap from decodeBasemap
+ * @param {Array} locations - Positions of the groups that have one
+ * @returns {Object} - { land: [ring], provinceBoundaries: [line], overview: { bounds, land: [ring] }, attribution }
+ *   Rings and lines are [longitude, latitude] points; land rings are municipalities, or provinces on wide views
+ */
+function createPdfMap(basemap, locations) {
+    const latitudes = locations.map(location => location.latitude);
+    const longitudes = locations.map(location => location.longitude);
+    const centerLatitude = (Math.min(...latitudes) + Math.max(...latitudes)) / 2;
+    const centerLongitude = (Math.min(...longitudes) + Math.max(...longitudes)) / 2;
+    const longitudeFactor = Math.cos(centerLatitude * Math.PI / 180);
+    const span = Math.max(
+        Math.max(...latitudes) - Math.min(...latitudes),
+        (Math.max(...longitudes) - Math.min(...longitudes)) * longitudeFactor,
+        BASEMAP_MIN_SPAN
+    );
+    const halfSpan = span * BASEMAP_VIEW_FACTOR;
+    const view = {
+        west: centerLongitude - halfSpan / longitudeFactor,
+        south: centerLatitude - halfSpan,
+        east: centerLongitude + halfSpan / longitudeFactor,
+        north: centerLatitude + halfSpan
+    };
+    // About a quarter of a millimetre on the PDF frame
+    const tolerance = halfSpan / 500;
+
+    const detailed = halfSpan * 2 <= BASEMAP_DETAIL_SPAN;
+    const areas = (detailed ? basemap.municipalities : basemap.provinces)
+        .filter(area => boundsIntersect(area.bounds, view));
+
+    // Outer rings only: holes are enclaves of a neighbour, drawn with their own area
+    const getOuterRings = (areaList, bounds, ringTolerance) => areaList.flatMap(area => area.polygons
+        .map(polygon => buildBasemapRing(basemap.arcs, polygon[0]))
+        .filter(ring => boundsIntersect(getPointsBounds(ring), bounds))
+        .map(ring => thinPoints(ring, ringTolerance)));
+
+    const provinceArcs = [...new Set(basemap.provinces
+        .filter(area => boundsIntersect(area.bounds, view))
+        .flatMap(area => area.arcIndexes))];
+
+    const overviewBounds = mergeBounds([
+        BASEMAP_OVERVIEW_BOUNDS,
+        getPointsBounds(locations.map(location => [location.longitude, location.latitude]))
+    ]);
+
+    return {
+        land: getOuterRings(areas, view, tolerance),
+        provinceBoundaries: detailed
+            ? provinceArcs
+                .filter(index => boundsIntersect(basemap.arcBounds[index], view))
+                .map(index => thinPoints(basemap.arcs[index], tolerance))
+            : [],
+        overview: {
+            bounds: overviewBounds,
+            land: getOuterRings(basemap.provinces, overviewBounds, BASEMAP_OVERVIEW_TOLERANCE)
+        },
+        attribution: BASEMAP_ATTRIBUTION
+    };
+}
+
+// ================================
+// Dashboard Rendering
+// ================================
+
+/**
+ * Render the dashboard with photo groups
+ */
+function renderDashboard() {
+    const uploadSection = document.getElementById('upload-section');
+    const dashboardSection = document.getElementById('dashboard-section');
+
+    uploadSection.classList.add('hidden');
+    dashboardSection.classList.remove('hidden');
+
+    renderGroups();
+    updateCounts();
+
+    // Every structural change (import, removal, regrouping) ends up here
+    scheduleAutosave();
+}
+
+/**
+ * Render all photo groups
+ */
+function renderGroups() {
+    const groupsList = document.getElementById('groups-list');
+    if (!groupsList) return;
+
+    groupsList.innerHTML = '';
+
+    const groupNames = Object.keys(state.groups);
+
+    if (groupNames.length === 0) {
+        groupsList.innerHTML = `
+            <div class="group-card">
+                <div class="group-header" style="background: var(--text-muted);">
+                    <span class="group-title">Sin fotografías</span>
+                </div>
+                <div class="group-photos" style="text-align: center; color: var(--text-secondary);">
+                    <p style="grid-column: 1/-1; padding: 40px;">No hay fotografías para mostrar.</p>
+                </div>
+            </div>
+        `;
+        return;
+    }
+
+    groupNames.forEach(groupName => {
+        const photos = state.groups[groupName];
+        const groupCard = createGroupCard(groupName, photos);
+        groupsList.appendChild(groupCard);
+    });
+}
+
+/**
+ * Create a group card element
+ * @param {string} groupName - Name of the group
+ * @param {Array} photos - Array of photos in the group
+ * @returns {HTMLElement} - The group card element
+ */
+function createGroupCard(groupName, photos) {
+    const card = document.createElement('div');
+    card.className = 'group-card';
+    card.dataset.group = groupName;
+
+    card.innerHTML = `
+        <div class="group-header">
+            <span class="group-title">${escapeHtml(groupName)}</span>
+            <div class="group-header-actions">
+                <span class="group-photos-count">${photos.length} fotografía${photos.length !== 1 ? 's' : ''}</span>
+                <button class="btn-group-action" onclick="openCamera(this.closest('.group-card').dataset.group)" title="Capturar fotografías en este grupo">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M23 19a2 2 0 01-2 2H3a2 2 0 01-2-2V8a2 2 0 012-2h4l2-3h6l2 3h4a2 2 0 012 2z"/>
+                        <circle cx="12" cy="13" r="4"/>
+                    </svg>
+                </button>
+                <button class="btn-group-action" onclick="renameGroup(this.closest('.group-card').dataset.group)" title="Renombrar grupo">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 20h9M16.5 3.5a2.12 2.12 0 013 3L7 19l-4 1 1-4 12.5-12.5z"/>
+                    </svg>
+                </button>
+                ${photos.length > 0 ? `
+                <button class="btn-group-action" onclick="mergeGroup(this.closest('.group-card').dataset.group)" title="Combinar con otro grupo">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M8 6l4-4 4 4M12 2v10.3a4 4 0 01-1.17 2.83L4 22M20 22l-5-5"/>
+                    </svg>
+                </button>` : `
+                <button class="btn-group-action" onclick="deleteEmptyGroup(this.closest('.group-card').dataset.group)" title="Eliminar grupo vacío">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>`}
+            </div>
+        </div>
+        <div class="group-description">
+            <textarea rows="1" placeholder="Descripción del grupo (aparece en el PDF)"
+                oninput="updateGroupDescription(this.closest('.group-card').dataset.group, this.value)">${escapeHtml(state.groupDescriptions[groupName] || '')}</textarea>
+        </div>
+        ${createGroupLocation(groupName, photos)}
+        ${createGroupChecklist(groupName, photos)}
+        <div class="group-photos">
+            ${photos.map(photo => createPhotoItem(photo)).join('')}
+            ${photos.length === 0 ? '<p class="group-empty">Arrastra fotografías aquí</p>' : ''}
+        </div>
+    `;
+
+    return card;
+}
+
+/**
+ * Create a photo item element
+ * @param {Object} photo - Photo object
+ * @returns {string} - HTML string for the photo item
+ */
+function createPhotoItem(photo) {
+    return `
+        <div class="photo-item${PHOTO_STATUSES[photo.status] ? ' status-' + photo.status : ''}" data-photo-id="${escapeHtml(photo.id)}">
+            <div class="photo-thumb" draggable="true">
+                <img src="${getPhotoSrc(photo)}" alt="${escapeHtml(photo.originalName)}" loading="lazy" draggable="false"
+                    onclick="openPhotoEditor(this.closest('.photo-item').dataset.photoId)" title="Editar / marcar">
+                ${photo.originalImageKey ? '<span class="photo-edited-badge">Editada</span>' : ''}
+                <span class="photo-name">${escapeHtml(photo.originalName)}</span>
+                <button class="move-photo" onclick="choosePhotoGroup(this.closest('.photo-item').dataset.photoId)" title="Mover a otro grupo">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M5 9l-3 3 3 3M9 5l3-3 3 3M15 19l-3 3-3-3M19 9l3 3-3 3M2 12h20M12 2v20"/>
+                    </svg>
+                </button>
+                <button class="remove-photo" onclick="removePhoto(this.closest('.photo-item').dataset.photoId)" title="Eliminar">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+            <div class="photo-annotation">
+                ${createPhotoSlotSelect(photo)}
+                <select class="photo-status" onchange="updatePhotoStatus(this.closest('.photo-item').dataset.photoId, this.value)">
+                    <option value="">Sin estado</option>
+                    ${Object.entries(PHOTO_STATUSES).map(([value, status]) =>
+                        `<option value="${value}" ${photo.status === value ? 'selected' : ''}>${status.label}</option>`
+                    ).join('')}
+                </select>
+                <textarea class="photo-caption" rows="2" placeholder="Comentario"
+                    oninput="updatePhotoCaption(this.closest('.photo-item').dataset.photoId, this.value)">${escapeHtml(photo.caption || '')}</textarea>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Update the comment of a photo
+ * @param {string} photoId - ID of the photo
+ * @param {string} caption - Comment text
+ */
+function updatePhotoCaption(photoId, caption) {
+    const photo = state.photos.find(p => p.id === photoId);
+    if (photo) {
+        photo.caption = caption;
+    }
+}
+
+/**
+ * Update the status tag of a photo
+ * @param {string} photoId - ID of the photo
+ * @param {string} status - Status key (ok, incidencia, pendiente) or empty
+ */
+function updatePhotoStatus(photoId, status) {
+    const photo = state.photos.find(p => p.id === photoId);
+    if (!photo) return;
+
+    photo.status = PHOTO_STATUSES[status] ? status : '';
+
+    const item = document.querySelector(`.photo-item[data-photo-id="${photoId}"]`);
+    if (item) {
+        Object.keys(PHOTO_STATUSES).forEach(key => item.classList.remove('status-' + key));
+        if (photo.status) item.classList.add('status-' + photo.status);
+    }
+}
+
+/**
+ * Update the description of a group
+ * @param {string} groupName - Name of the group
+ * @param {string} description - Description text
+ */
+function updateGroupDescription(groupName, description) {
+    state.groupDescriptions[groupName] = description;
+}
+
+/**
+ * Remove a photo from the state
+ * @param {string} photoId - ID of the photo to remove
+ */
+function removePhoto(photoId) {
+    const photoIndex = state.photos.findIndex(p => p.id === photoId);
+
+    if (photoIndex > -1) {
+        URL.revokeObjectURL(state.photos[photoIndex].objectUrl);
+        state.photos.splice(photoIndex, 1);
+        groupPhotos();
+        renderDashboard();
+    }
+}
+
+/**
+ * Update photo and group counts
+ */
+function updateCounts() {
+    const groupCount = Object.keys(state.groups).length;
+    const photoCount = state.photos.length;
+
+    const groupCountEl = document.getElementById('group-count');
+    const totalPhotosEl = document.getElementById('total-photos');
+
+    if (groupCountEl) groupCountEl.textContent = groupCount;
+    if (totalPhotosEl) totalPhotosEl.textContent = `${photoCount} fotografía${photoCount !== 1 ? 's' : ''} en total`;
+
+    updatePdfSizeEstimate();
+}
+
+// ================================
+// Photo Markup Editor
+// ================================
+
+const EDITOR_MAX_UNDO = 20;
+
+const editor = {
+    photoId: null,
+    canvas: null,
+    ctx: null,
+    tool: 'arrow',
+    color: '#ef4444',
+    lineWidth: 4,
+    undoStack: [],
+    startPoint: null,
+    snapshot: null,
+    freehandPath: null,
+    edited: false
+};
+
+/**
+ * Load an image element from a URL
+ * @param {string} src - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>} - Loaded image
+ */
+function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('No se pudo cargar la imagen'));
+        img.src = src;
+    });
+}
+
+/**
+ * Open the markup editor for a photo
+ * @param {string} photoId - ID of the photo to edit
+ */
+async function openPhotoEditor(photoId) {
+    const photo = state.photos.find(p => p.id === photoId);
+    const modal = document.getElementById('photo-editor-modal');
+    if (!photo || !modal) return;
+
+    try {
+        await ensurePhotoData([photo]);
+        if (!photo.base64Data) {
+            throw new Error('la imagen no está disponible');
+        }
+        const img = await loadImageElement(photo.base64Data);
+
+        editor.photoId = photoId;
+        editor.canvas = document.getElementById('editor-canvas');
+        editor.ctx = editor.canvas.getContext('2d');
+        editor.canvas.width = img.naturalWidth;
+        editor.canvas.height = img.naturalHeight;
+        editor.ctx.drawImage(img, 0, 0);
+        editor.undoStack = [];
+        editor.edited = false;
+
+        document.getElementById('editor-title').textContent = photo.originalName;
+        document.getElementById('editor-revert').disabled = !photo.originalImageKey;
+        selectEditorTool(editor.tool);
+        updateEditorUndoButton();
+
+        modal.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error opening editor:', error);
+        alert('Error al abrir el editor: ' + error.message);
+    }
+}
+
+/**
+ * Close the markup editor, discarding unsaved edits
+ */
+function closePhotoEditor() {
+    if (editor.edited && !confirm('¿Descartar los cambios realizados en la fotografía?')) {
+        return;
+    }
+
+    const modal = document.getElementById('photo-editor-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    editor.photoId = null;
+    editor.undoStack = [];
+}
+
+/**
+ * Setup pointer listeners of the editor canvas
+ */
+function setupPhotoEditor() {
+    const canvas = document.getElementById('editor-canvas');
+    if (!canvas) return;
+
+    canvas.addEventListener('pointerdown', handleEditorPointerDown);
+    canvas.addEventListener('pointermove', handleEditorPointerMove);
+    canvas.addEventListener('pointerup', handleEditorPointerUp);
+    canvas.addEventListener('pointercancel', handleEditorPointerUp);
+
+    document.getElementById('editor-color').addEventListener('input', (e) => {
+        editor.color = e.target.value;
+    });
+    document.getElementById('editor-width').addEventListener('input', (e) => {
+        editor.lineWidth = parseInt(e.target.value, 10) || 4;
+    });
+}
+
+/**
+ * Select the active drawing tool
+ * @param {string} tool - Tool name (arrow, rect, ellipse, freehand, text, blur, crop)
+ */
+function selectEditorTool(tool) {
+    editor.tool = tool;
+    document.querySelectorAll('.editor-tool').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+}
+
+/**
+ * Convert a pointer event into canvas pixel coordinates
+ */
+function getEditorPoint(e) {
+    const rect = editor.canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * (editor.canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (editor.canvas.height / rect.height)
+    };
+}
+
+/**
+ * Line width scaled to the image size so strokes look the same on any photo
+ */
+function getEditorStrokeWidth() {
+    return editor.lineWidth * Math.max(editor.canvas.width, editor.canvas.height) / 1000;
+}
+
+/**
+ * Save the current canvas so the next operation can be undone
+ */
+function pushEditorUndo() {
+    const copy = document.createElement('canvas');
+    copy.width = editor.canvas.width;
+    copy.height = editor.canvas.height;
+    copy.getContext('2d').drawImage(editor.canvas, 0, 0);
+
+    editor.undoStack.push(copy);
+    if (editor.undoStack.length > EDITOR_MAX_UNDO) {
+        editor.undoStack.shift();
+    }
+    editor.edited = true;
+    updateEditorUndoButton();
+}
+
+/**
+ * Undo the last editor operation
+ */
+function undoEditor() {
+    const previous = editor.undoStack.pop();
+    if (!previous) return;
+
+    editor.canvas.width = previous.width;
+    editor.canvas.height = previous.height;
+    editor.ctx.drawImage(previous, 0, 0);
+    editor.edited = editor.undoStack.length > 0;
+    updateEditorUndoButton();
+}
+
+function updateEditorUndoButton() {
+    const undoButton = document.getElementById('editor-undo');
+    if (undoButton) undoButton.disabled = editor.undoStack.length === 0;
+}
+
+function handleEditorPointerDown(e) {
+    const point = getEditorPoint(e);
+
+    if (editor.tool === 'text') {
+        addEditorText(point);
+        return;
+    }
+
+    editor.canvas.setPointerCapture(e.pointerId);
+    pushEditorUndo();
+    editor.startPoint = point;
+    editor.snapshot = editor.ctx.getImageData(0, 0, editor.canvas.width, editor.canvas.height);
+    editor.freehandPath = editor.tool === 'freehand' ? [point] : null;
+}
+
+function handleEditorPointerMove(e) {
+    if (!editor.startPoint) return;
+
+    const point = getEditorPoint(e);
+    editor.ctx.putImageData(editor.snapshot, 0, 0);
+
+    if (editor.freehandPath) {
+        editor.freehandPath.push(point);
+    }
+    drawEditorShape(editor.startPoint, point, true);
+}
+
+function handleEditorPointerUp(e) {
+    if (!editor.startPoint) return;
+
+    const point = getEditorPoint(e);
+    const start = editor.startPoint;
+    editor.startPoint = null;
+    editor.ctx.putImageData(editor.snapshot, 0, 0);
+    editor.snapshot = null;
+
+    // Ignore accidental clicks that did not drag
+    if (Math.abs(point.x - start.x) < 3 && Math.abs(point.y - start.y) < 3 && editor.tool !== 'freehand') {
+        editor.undoStack.pop();
+        editor.edited = editor.undoStack.length > 0;
+        updateEditorUndoButton();
+        return;
+    }
+
+    if (editor.tool === 'blur') {
+        pixelateEditorRegion(start, point);
+    } else if (editor.tool === 'crop') {
+        cropEditorCanvas(start, point);
+    } else {
+        drawEditorShape(start, point, false);
+    }
+    editor.freehandPath = null;
+}
+
+/**
+ * Draw the current tool's shape between two points
+ * @param {Object} start - Start point
+ * @param {Object} end - End point
+ * @param {boolean} preview - True while dragging (crop/blur show a dashed box)
+ */
+function drawEditorShape(start, end, preview) {
+    const ctx = editor.ctx;
+    const width = getEditorStrokeWidth();
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    const w = Math.abs(end.x - start.x);
+    const h = Math.abs(end.y - start.y);
+
+    ctx.save();
+    ctx.strokeStyle = editor.color;
+    ctx.fillStyle = editor.color;
+    ctx.lineWidth = width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (editor.tool) {
+        case 'arrow': {
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+            const headLength = width * 4;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(end.x, end.y);
+            ctx.lineTo(end.x - headLength * Math.cos(angle - Math.PI / 6), end.y - headLength * Math.sin(angle - Math.PI / 6));
+            ctx.lineTo(end.x - headLength * Math.cos(angle + Math.PI / 6), end.y - headLength * Math.sin(angle + Math.PI / 6));
+            ctx.closePath();
+            ctx.fill();
+            break;
+        }
+        case 'rect':
+            ctx.strokeRect(x, y, w, h);
+            break;
+        case 'ellipse':
+            ctx.beginPath();
+            ctx.ellipse(x + w / 2, y + h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+            ctx.stroke();
+            break;
+        case 'freehand':
+            ctx.beginPath();
+            editor.freehandPath.forEach((p, index) => {
+                if (index === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+            break;
+        case 'blur':
+        case 'crop':
+            if (preview) {
+                ctx.strokeStyle = editor.tool === 'crop' ? '#ffffff' : editor.color;
+                ctx.lineWidth = Math.max(2, width / 2);
+                ctx.setLineDash([width * 2, width * 2]);
+                ctx.strokeRect(x, y, w, h);
+            }
+            break;
+    }
+    ctx.restore();
+}
+
+/**
+ * Add a text label at a point
+ * @param {Object} point - Canvas coordinates
+ */
+function addEditorText(point) {
+    const text = prompt('Texto de la etiqueta:');
+    if (!text || !text.trim()) return;
+
+    pushEditorUndo();
+
+    const ctx = editor.ctx;
+    const fontSize = getEditorStrokeWidth() * 6;
+    ctx.save();
+    ctx.font = `bold ${fontSize}px Inter, Arial, sans-serif`;
+    ctx.textBaseline = 'top';
+
+    // Dark outline keeps the label readable on any background
+    ctx.lineWidth = fontSize / 6;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.strokeText(text.trim(), point.x, point.y);
+    ctx.fillStyle = editor.color;
+    ctx.fillText(text.trim(), point.x, point.y);
+    ctx.restore();
+}
+
+/**
+ * Pixelate a rectangular region (licence plates, faces)
+ */
+function pixelateEditorRegion(start, end) {
+    const x = Math.max(0, Math.round(Math.min(start.x, end.x)));
+    const y = Math.max(0, Math.round(Math.min(start.y, end.y)));
+    const w = Math.min(editor.canvas.width - x, Math.round(Math.abs(end.x - start.x)));
+    const h = Math.min(editor.canvas.height - y, Math.round(Math.abs(end.y - start.y)));
+    if (w <= 0 || h <= 0) return;
+
+    const blockSize = Math.max(8, Math.round(Math.max(w, h) / 12));
+    const small = document.createElement('canvas');
+    small.width = Math.max(1, Math.ceil(w / blockSize));
+    small.height = Math.max(1, Math.ceil(h / blockSize));
+    small.getContext('2d').drawImage(editor.canvas, x, y, w, h, 0, 0, small.width, small.height);
+
+    editor.ctx.save();
+    editor.ctx.imageSmoothingEnabled = false;
+    editor.ctx.drawImage(small, 0, 0, small.width, small.height, x, y, w, h);
+    editor.ctx.restore();
+}
+
+/**
+ * Crop the canvas to a rectangle
+ */
+function cropEditorCanvas(start, end) {
+    const x = Math.max(0, Math.round(Math.min(start.x, end.x)));
+    const y = Math.max(0, Math.round(Math.min(start.y, end.y)));
+    const w = Math.min(editor.canvas.width - x, Math.round(Math.abs(end.x - start.x)));
+    const h = Math.min(editor.canvas.height - y, Math.round(Math.abs(end.y - start.y)));
+    if (w < 10 || h < 10) return;
+
+    const cropped = editor.ctx.getImageData(x, y, w, h);
+    editor.canvas.width = w;
+    editor.canvas.height = h;
+    editor.ctx.putImageData(cropped, 0, 0);
+}
+
+/**
+ * Rotate the image 90 degrees
+ * @param {number} direction - 1 clockwise, -1 counter-clockwise
+ */
+function rotateEditorCanvas(direction = 1) {
+    pushEditorUndo();
+
+    const source = editor.undoStack[editor.undoStack.length - 1];
+    editor.canvas.width = source.height;
+    editor.canvas.height = source.width;
+
+    const ctx = editor.ctx;
+    ctx.save();
+    ctx.translate(editor.canvas.width / 2, editor.canvas.height / 2);
+    ctx.rotate(direction * Math.PI / 2);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    ctx.restore();
+}
+
+/**
+ * Replace a photo's image and refresh its object URL and preview
+ * @param {Object} photo - Photo object
+ * @param {Blob} blob - New image
+ * @param {string} imageKey - Content key of the new image
+ * @param {string|null} [dataUrl] - New image as data URL, when already at hand
+ */
+function replacePhotoImage(photo, blob, imageKey, dataUrl = null) {
+    URL.revokeObjectURL(photo.objectUrl);
+    photo.compressedFile = null;
+    photo.objectUrl = null;
+    photo.thumbnail = null;
+    photo.imageKey = imageKey;
+    photo.base64Data = dataUrl;
+    setPhotoBlob(photo, blob);
+}
+
+/**
+ * Apply the edits to the photo, keeping the original for revert
+ */
+async function savePhotoEdits() {
+    const photo = state.photos.find(p => p.id === editor.photoId);
+    if (!photo) return;
+
+    if (editor.edited) {
+        if (!photo.originalImageKey) {
+            photo.originalImageKey = photo.imageKey;
+            photo.originalBlob = photo.compressedFile;
+        }
+        const dataUrl = editor.canvas.toDataURL('image/jpeg', 0.9);
+        const blob = decodeDataURL(dataUrl);
+        replacePhotoImage(photo, blob, await hashImageBlob(blob), dataUrl);
+        // The marked-up image is no longer the imported file; duplicate detection
+        // computes the perceptual hash again from the new image when it next runs
+        photo.contentHash = null;
+        photo.perceptualHash = null;
+    }
+
+    editor.edited = false;
+    closePhotoEditor();
+    renderDashboard();
+}
+
+/**
+ * Discard every edit and go back to the original photo
+ */
+async function revertPhotoEdits() {
+    const photo = state.photos.find(p => p.id === editor.photoId);
+    if (!photo || !photo.originalImageKey) return;
+
+    if (!confirm('¿Restaurar la fotografía original? Se perderán todas las marcas.')) return;
+
+    await loadPhotoBlobs([photo], true);
+    if (!photo.originalBlob) {
+        alert('No se encontró la fotografía original.');
+        return;
+    }
+
+    replacePhotoImage(photo, photo.originalBlob, photo.originalImageKey);
+    photo.originalImageKey = null;
+    photo.originalBlob = null;
+    // Hash of the marked-up image; the original's is computed again when needed
+    photo.perceptualHash = null;
+
+    editor.edited = false;
+    closePhotoEditor();
+    renderDashboard();
+}
+
+// ================================
+// Save/Load System (IndexedDB - Unlimited Storage)
+// ================================
+
+/**
+ * Save current report to IndexedDB (unlimited storage)
+ */
+async function saveReport() {
+    if (state.photos.length === 0) {
+        alert('No hay fotografías para guardar.');
+        return;
+    }
+
+    // Saving a loaded report updates it instead of creating a copy
+    const reportId = state.reportId || 'report_' + Date.now();
+    const reportData = collectReportData(reportId);
+
+    try {
+        await saveReportRecord(reportData, collectPhotoBlobs(state.photos));
+        const version = await createReportVersion(reportData);
+        state.reportId = reportId;
+
+        // The saved report now holds everything the draft had
+        await clearDraft();
+        showNotification(version.number > 1 ? `Reporte actualizado (versión ${version.number})` : 'Reporte guardado correctamente');
+
+    } catch (error) {
+        console.error('Error saving report:', error);
+        if (!handleQuotaError(error)) {
+            alert('Error al guardar el reporte: ' + error.message);
+        }
+    }
+}
+
+/**
+ * Build the report record of the current session
+ * @param {string|null} reportId - ID to store the report under
+ * @returns {Object} - Report record as stored in IndexedDB
+ */
+function collectReportData(reportId) {
+    const reportTitle = document.getElementById('report-title').value || 'Reporte sin título';
+    const reportCode = document.getElementById('report-code').value || '';
+
+    // Images are stored apart in the photos store; the record only references them
+    const photosToSave = state.photos.map(photo => ({
+        id: photo.id,
+        originalName: photo.originalName,
+        group: photo.group,
+        sourcePath: photo.sourcePath || '',
+        groupLocked: !!photo.groupLocked,
+        sortIndex: typeof photo.sortIndex === 'number' ? photo.sortIndex : null,
+        caption: photo.caption || '',
+        status: photo.status || '',
+        slot: photo.slot || '',
+        exif: photo.exif || null,
+        contentHash: photo.contentHash || null,
+        perceptualHash: photo.perceptualHash || null,
+        imageKey: photo.imageKey,
+        // Unedited image, kept so markup can be reverted
+        originalImageKey: photo.originalImageKey || null,
+        // Uncompressed image the quality profile is applied to
+        sourceImageKey: photo.sourceImageKey || null,
+        thumbnail: photo.thumbnail || null
+    }));
+
+    return {
+        id: reportId,
+        title: reportTitle,
+        code: reportCode,
+        author: document.getElementById('report-author').value || '',
+        date: document.getElementById('report-date').value || new Date().toISOString().split('T')[0],
+        photos: photosToSave,
+        layout: document.getElementById('report-layout').value || DEFAULT_PDF_LAYOUT,
+        compression: state.compression,
+        brandingId: getSelectedBranding().id,
+        customFields: { ...state.customFieldValues },
+        customGroups: state.customGroups.slice(),
+        groupDescriptions: { ...state.groupDescriptions },
+        groupLocations: { ...state.groupLocations },
+        profileId: state.profile ? state.profile.id : DEFAULT_PROFILE_ID,
+        savedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Load a saved report from IndexedDB
+ * @param {string} reportId - ID of the report to load
+ */
+async function loadReport(reportId) {
+    try {
+        const report = await getReportFromDB(reportId);
+
+        if (!report) {
+            alert('Reporte no encontrado.');
+            return;
+        }
+
+        restoreReportState(report);
+        state.reportId = report.id;
+
+        // The loaded state is already saved: nothing to recover
+        await clearDraft();
+
+        // Close modal
+        closeSavedReportsModal();
+
+        showNotification('Reporte cargado correctamente');
+
+    } catch (error) {
+        console.error('Error loading report:', error);
+        alert('Error al cargar el reporte: ' + error.message);
+    }
+}
+
+/**
+ * Replace the working session with a report record
+ * @param {Object} report - Report record (saved report or autosaved draft)
+ */
+function restoreReportState(report) {
+    // Clear current state
+    for (const photo of state.photos) {
+        URL.revokeObjectURL(photo.objectUrl);
+    }
+    state.photos = [];
+    state.groups = {};
+    state.customGroups = report.customGroups ? report.customGroups.slice() : [];
+    state.groupDescriptions = { ...(report.groupDescriptions || {}) };
+    state.groupLocations = sanitizeGroupLocations(report.groupLocations);
+    // Reports saved before profiles existed were compressed with the standard one
+    state.compression = COMPRESSION_PROFILES[report.compression] ? report.compression : DEFAULT_COMPRESSION_PROFILE;
+    document.getElementById('report-compression').value = state.compression;
+
+    // Load photos from saved report; images are read afterwards, previews show meanwhile
+    for (const savedPhoto of report.photos) {
+        state.photos.push({
+            id: savedPhoto.id,
+            originalName: savedPhoto.originalName,
+            compressedFile: null,
+            objectUrl: null,
+            base64Data: null,
+            imageKey: savedPhoto.imageKey,
+            thumbnail: savedPhoto.thumbnail || null,
+            group: savedPhoto.group,
+            sourcePath: savedPhoto.sourcePath || '',
+            groupLocked: !!savedPhoto.groupLocked,
+            sortIndex: typeof savedPhoto.sortIndex === 'number' ? savedPhoto.sortIndex : null,
+            caption: savedPhoto.caption || '',
+            status: savedPhoto.status || '',
+            slot: savedPhoto.slot || '',
+            exif: savedPhoto.exif || null,
+            contentHash: savedPhoto.contentHash || null,
+            perceptualHash: savedPhoto.perceptualHash || null,
+            originalImageKey: savedPhoto.originalImageKey || null,
+            originalBlob: null,
+            sourceImageKey: savedPhoto.sourceImageKey || null,
+            sourceBlob: null
+        });
+    }
+
+    // Restore the project profile the report was made with
+    if (report.profileId) {
+        setActiveProfile(report.profileId);
+    }
+
+    // Regroup and render
+    groupPhotos();
+    renderDashboard();
+
+    // Fill form fields
+    document.getElementById('report-title').value = report.title || 'REPORTE DE FOTOS';
+    document.getElementById('report-code').value = report.code || '';
+    document.getElementById('report-author').value = report.author || '';
+    document.getElementById('report-date').value = report.date || new Date().toISOString().split('T')[0];
+    document.getElementById('report-layout').value = PDF_LAYOUTS[report.layout] ? report.layout : DEFAULT_PDF_LAYOUT;
+    state.customFieldValues = { ...(report.customFields || {}) };
+    renderBrandingSelect(report.brandingId || DEFAULT_BRANDING_ID);
+    renderCustomFields();
+
+    loadPhotoImages(state.photos);
+}
+
+// Full images are read from the photos store in batches after the report is shown
+const PHOTO_LOAD_BATCH = 8;
+
+// Bumped on every restore so batches of a replaced report stop loading
+let photoLoadGeneration = 0;
+
+/**
+ * Image to show for a photo: the full image once loaded, the stored preview until then
+ * @param {Object} photo - Photo object
+ * @returns {string}
+ */
+function getPhotoSrc(photo) {
+    return photo.objectUrl || photo.thumbnail || '';
+}
+
+/**
+ * Attach a loaded image to a photo and show it in the dashboard
+ * @param {Object} photo - Photo object
+ * @param {Blob} blob - Image
+ */
+function setPhotoBlob(photo, blob) {
+    photo.compressedFile = blob;
+    if (!photo.objectUrl) {
+        photo.objectUrl = URL.createObjectURL(blob);
+        document.querySelectorAll(`.photo-item[data-photo-id="${photo.id}"] img`).forEach(img => {
+            img.src = photo.objectUrl;
+        });
+    }
+
+    // Reports saved before previews existed get one on their next save
+    if (!photo.thumbnail) {
+        createThumbnail(photo.objectUrl, PHOTO_THUMBNAIL_SIZE)
+            .then(thumbnail => { photo.thumbnail = thumbnail; })
+            .catch(error => console.warn('Could not create preview:', photo.originalName, error));
+    }
+}
+
+/**
+ * Read the images of photos that are not loaded yet
+ * @param {Array} photos - Photos to load
+ * @param {boolean} [includeOriginals] - Also read the unedited and source images
+ */
+async function loadPhotoBlobs(photos, includeOriginals = false) {
+    const keys = new Set();
+    photos.forEach(photo => {
+        if (!photo.compressedFile) keys.add(photo.imageKey);
+        if (includeOriginals && photo.originalImageKey && !photo.originalBlob) keys.add(photo.originalImageKey);
+        if (includeOriginals && photo.sourceImageKey && !photo.sourceBlob) keys.add(photo.sourceImageKey);
+    });
+    if (keys.size === 0) return;
+
+    const blobs = await getPhotoBlobsFromDB([...keys]);
+    photos.forEach(photo => {
+        if (!photo.compressedFile && blobs[photo.imageKey]) {
+            setPhotoBlob(photo, blobs[photo.imageKey]);
+        }
+        if (includeOriginals && photo.originalImageKey && !photo.originalBlob) {
+            photo.originalBlob = blobs[photo.originalImageKey] || null;
+        }
+        if (includeOriginals && photo.sourceImageKey && !photo.sourceBlob) {
+            photo.sourceBlob = blobs[photo.sourceImageKey] || null;
+        }
+    });
+}
+
+/**
+ * Load the full images of a restored report in the background
+ * @param {Array} photos - Photos of the report
+ */
+async function loadPhotoImages(photos) {
+    const generation = ++photoLoadGeneration;
+
+    for (let i = 0; i < photos.length; i += PHOTO_LOAD_BATCH) {
+        if (generation !== photoLoadGeneration) return;
+        try {
+            await loadPhotoBlobs(photos.slice(i, i + PHOTO_LOAD_BATCH));
+        } catch (error) {
+            console.error('Error loading images:', error);
+            return;
+        }
+    }
+}
+
+/**
+ * Make sure photos have their base64 data (PDF generation, editor)
+ * @param {Array} photos - Photos that need their image data
+ */
+async function ensurePhotoData(photos) {
+    const missing = photos.filter(photo => !photo.base64Data);
+    await loadPhotoBlobs(missing);
+
+    for (const photo of missing) {
+        if (photo.compressedFile) {
+            photo.base64Data = await fileToBase64(photo.compressedFile);
+        }
+    }
+}
+
+/**
+ * Images held in memory, by content key, for writing to the photos store
+ * Images that are only in the store already are left out
+ * @param {Array} photos - Photos of the session
+ * @returns {Map<string, Blob>}
+ */
+function collectPhotoBlobs(photos) {
+    const images = new Map();
+    photos.forEach(photo => {
+        if (photo.compressedFile) images.set(photo.imageKey, photo.compressedFile);
+        if (photo.originalImageKey && photo.originalBlob) images.set(photo.originalImageKey, photo.originalBlob);
+        if (photo.sourceImageKey && photo.sourceBlob) images.set(photo.sourceImageKey, photo.sourceBlob);
+    });
+    return images;
+}
+
+// Saved reports browser: the list reads small summary records, never the full reports
+const REPORT_THUMBNAIL_COUNT = 4;
+const REPORT_THUMBNAIL_SIZE = 96;
+
+const REPORT_SORTS = {
+    savedDesc: { label: 'Guardado: más reciente', compare: (a, b) => new Date(b.savedAt) - new Date(a.savedAt) },
+    savedAsc: { label: 'Guardado: más antiguo', compare: (a, b) => new Date(a.savedAt) - new Date(b.savedAt) },
+    dateDesc: { label: 'Fecha del reporte', compare: (a, b) => (b.date || '').localeCompare(a.date || '') },
+    title: { label: 'Título (A-Z)', compare: (a, b) => a.title.localeCompare(b.title, 'es') },
+    code: { label: 'Código', compare: (a, b) => a.code.localeCompare(b.code, 'es', { numeric: true }) },
+    photos: { label: 'Número de fotos', compare: (a, b) => b.photoCount - a.photoCount }
+};
+
+let savedReportSummaries = [];
+let fillingThumbnails = false;
+
+/**
+ * Setup the search, filter and sort controls of the saved reports browser
+ */
+function setupSavedReportsBrowser() {
+    const sortSelect = document.getElementById('reports-sort');
+    sortSelect.innerHTML = Object.entries(REPORT_SORTS).map(([key, sort]) =>
+        `<option value="${key}">${sort.label}</option>`
+    ).join('');
+
+    ['reports-search', 'reports-date-from', 'reports-date-to', 'reports-branding', 'reports-sort'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderSavedReports);
+    });
+}
+
+/**
+ * Show saved reports modal
+ */
+async function showSavedReports() {
+    const modal = document.getElementById('saved-reports-modal');
+    if (!modal) return;
+
+    try {
+        // Summaries only: full records (with every photo) are read when a report is opened
+        savedReportSummaries = await getAllReportSummariesFromDB();
+
+        const brandingFilter = document.getElementById('reports-branding');
+        const currentBranding = brandingFilter.value;
+        brandingFilter.innerHTML = '<option value="">Todas las marcas</option>' + availableBrandings.map(branding =>
+            `<option value="${escapeHtml(branding.id)}">${escapeHtml(branding.name)}</option>`
+        ).join('');
+        brandingFilter.value = availableBrandings.some(b => b.id === currentBranding) ? currentBranding : '';
+
+        renderSavedReports();
+        modal.classList.remove('hidden');
+
+        fillMissingThumbnails();
+
+    } catch (error) {
+        console.error('Error showing saved reports:', error);
+        alert('Error al mostrar reportes guardados: ' + error.message);
+    }
+}
+
+/**
+ * Render the saved reports matching the search, filters and sort order
+ */
+function renderSavedReports() {
+    const list = document.getElementById('saved-reports-list');
+    const noReportsMsg = document.getElementById('no-reports-message');
+    const countLabel = document.getElementById('saved-reports-count');
+    if (!list) return;
+
+    const reports = getFilteredReportSummaries();
+
+    list.innerHTML = '';
+    countLabel.textContent = savedReportSummaries.length > 0
+        ? `${reports.length} de ${savedReportSummaries.length} reportes`
+        : '';
+
+    if (savedReportSummaries.length === 0) {
+        list.style.display = 'none';
+        if (noReportsMsg) noReportsMsg.style.display = 'block';
+        return;
+    }
+
+    if (noReportsMsg) noReportsMsg.style.display = 'none';
+    list.style.display = 'grid';
+
+    if (reports.length === 0) {
+        list.innerHTML = '<p class="saved-reports-empty">Ningún reporte coincide con la búsqueda.</p>';
+        return;
+    }
+
+    reports.forEach(report => {
+        const branding = availableBrandings.find(b => b.id === report.brandingId);
+        const reportItem = document.createElement('div');
+        reportItem.className = 'saved-report-item';
+        reportItem.dataset.reportId = report.id;
+        reportItem.innerHTML = `
+            <div class="report-thumbnails">${renderReportThumbnails(report)}</div>
+            <div class="report-info">
+                <h4>${escapeHtml(report.title)}</h4>
+                <p>${[
+                    report.code ? 'Ref: ' + escapeHtml(report.code) : '',
+                    report.author ? escapeHtml(report.author) : '',
+                    report.date ? formatDate(report.date) : '',
+                    branding ? escapeHtml(branding.name) : ''
+                ].filter(Boolean).join(' | ')}</p>
+                <p>${report.photoCount} fotos | ${report.groupCount} grupos | Guardado: ${formatDateSimple(report.savedAt)}</p>
+            </div>
+            <div class="report-actions">
+                <button class="btn-load-report" onclick="loadReport(this.closest('.saved-report-item').dataset.reportId)">Cargar</button>
+                <button class="btn-export-report" onclick="showReportVersions(this.closest('.saved-report-item').dataset.reportId)">Historial</button>
+                <button class="btn-export-report" onclick="exportReportPackage(this.closest('.saved-report-item').dataset.reportId)">Exportar</button>
+                <button class="btn-delete-report" onclick="deleteReport(this.closest('.saved-report-item').dataset.reportId)">Eliminar</button>
+            </div>
+        `;
+        list.appendChild(reportItem);
+    });
+}
+
+/**
+ * Apply the search box, filters and sort order of the saved reports browser
+ * @returns {Array} - Matching summaries
+ */
+function getFilteredReportSummaries() {
+    const terms = normalizeSearchText(document.getElementById('reports-search').value).split(/\s+/).filter(Boolean);
+    const dateFrom = document.getElementById('reports-date-from').value;
+    const dateTo = document.getElementById('reports-date-to').value;
+    const brandingId = document.getElementById('reports-branding').value;
+    const sort = REPORT_SORTS[document.getElementById('reports-sort').value] || REPORT_SORTS.savedDesc;
+
+    return savedReportSummaries
+        .filter(report => {
+            // Every word must appear in the title, code or author
+            const haystack = normalizeSearchText(`${report.title} ${report.code} ${report.author}`);
+            if (!terms.every(term => haystack.includes(term))) return false;
+
+            // Report dates are YYYY-MM-DD, so they compare as strings
+            if (dateFrom && (!report.date || report.date < dateFrom)) return false;
+            if (dateTo && (!report.date || report.date > dateTo)) return false;
+
+            return !brandingId || report.brandingId === brandingId;
+        })
+        .sort(sort.compare);
+}
+
+/**
+ * Lowercase text without accents for searching
+ */
+function normalizeSearchText(text) {
+    return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Thumbnail strip of a saved report
+ * @param {Object} report - Report summary
+ * @returns {string} - HTML
+ */
+function renderReportThumbnails(report) {
+    if (!report.thumbnails) {
+        return '<span class="report-thumbnail placeholder"></span>';
+    }
+    return report.thumbnails.map(src => `<img class="report-thumbnail" src="${escapeHtml(src)}" alt="">`).join('');
+}
+
+/**
+ * Build the list entry of a report
+ * @param {Object} report - Full report record
+ * @param {Array<string>|null} thumbnails - Small previews, null if not generated yet
+ * @returns {Object} - Summary record
+ */
+function buildReportSummary(report, thumbnails) {
+    return {
+        id: report.id,
+        title: report.title || '',
+        code: report.code || '',
+        author: report.author || '',
+        date: report.date || '',
+        brandingId: report.brandingId || DEFAULT_BRANDING_ID,
+        photoCount: report.photos.length,
+        groupCount: new Set(report.photos.map(photo => photo.group)).size,
+        savedAt: report.savedAt,
+        thumbnails: thumbnails
+    };
+}
+
+/**
+ * Save a report together with its list summary and the images not stored yet
+ * @param {Object} report - Full report record
+ * @param {Map<string, Blob>} [images] - New images by content key
+ */
+async function saveReportRecord(report, images = new Map()) {
+    const thumbnails = await createReportThumbnails(report, images);
+    await saveReportToDB(report, buildReportSummary(report, thumbnails), images);
+}
+
+/**
+ * Downscale the first photos of a report for the saved reports list
+ * @param {Object} report - Full report record
+ * @param {Map<string, Blob>} [images] - Images not in the photos store yet
+ * @returns {Promise<Array<string>>} - JPEG data URLs
+ */
+async function createReportThumbnails(report, images = new Map()) {
+    const thumbnails = [];
+
+    for (const photo of report.photos.slice(0, REPORT_THUMBNAIL_COUNT)) {
+        let objectUrl = null;
+        try {
+            // The photo preview is enough; older records need their image read
+            let src = photo.thumbnail;
+            if (!src) {
+                const blob = images.get(photo.imageKey) || (await getPhotoBlobsFromDB([photo.imageKey]))[photo.imageKey];
+                if (!blob) throw new Error('imagen no encontrada');
+                objectUrl = URL.createObjectURL(blob);
+                src = objectUrl;
+            }
+            thumbnails.push(await createThumbnail(src, REPORT_THUMBNAIL_SIZE, 0.6));
+        } catch (error) {
+            console.warn('Could not create thumbnail:', photo.originalName, error);
+        } finally {
+            URL.revokeObjectURL(objectUrl);
+        }
+    }
+
+    return thumbnails;
+}
+
+/**
+ * Generate thumbnails for summaries migrated from reports saved before summaries existed
+ * Runs one report at a time
+ */
+async function fillMissingThumbnails() {
+    if (fillingThumbnails) return;
+    fillingThumbnails = true;
+
+    try {
+        for (const summary of savedReportSummaries.filter(s => !s.thumbnails)) {
+            const report = await getReportFromDB(summary.id);
+            if (!report) continue;
+
+            summary.thumbnails = await createReportThumbnails(report);
+            await saveReportSummaryToDB(summary);
+
+            const item = document.querySelector(`.saved-report-item[data-report-id="${summary.id}"] .report-thumbnails`);
+            if (item) item.innerHTML = renderReportThumbnails(summary);
+        }
+    } catch (error) {
+        console.warn('Could not fill thumbnails:', error);
+    } finally {
+        fillingThumbnails = false;
+    }
+}
+
+/**
+ * Delete a saved report from IndexedDB
+ * @param {string} reportId - ID of the report to delete
+ */
+async function deleteReport(reportId) {
+    if (!confirm('¿Estás seguro de que quieres eliminar este reporte?')) {
+        return;
+    }
+
+    try {
+        // The open session may still need images that only this report references
+        if (state.reportId === reportId) {
+            await loadPhotoBlobs(state.photos, true);
+        }
+
+        await deleteReportFromDB(reportId);
+        // Also removes the images nothing references any more
+        await deleteReportVersions((await getVersionsFromDB(reportId)).map(version => version.id));
+        if (state.reportId === reportId) {
+            state.reportId = null;
+        }
+        showSavedReports();
+        showNotification('Reporte eliminado');
+
+    } catch (error) {
+        console.error('Error deleting report:', error);
+        alert('Error al eliminar el reporte: ' + error.message);
+    }
+}
+
+/**
+ * Close saved reports modal
+ */
+function closeSavedReportsModal() {
+    const modal = document.getElementById('saved-reports-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * Show notification message
+ * @param {string} message - Message to display
+ */
+function showNotification(message) {
+    let notification = document.getElementById('notification');
+    if (!notification) {
+        notification = document.createElement('div');
+        notification.id = 'notification';
+        notification.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: #10b981;
+            color: white;
+            padding: 12px 24px;
+            border-radius: 8px;
+            font-size: 14px;
+            font-weight: 500;
+            z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        `;
+        document.body.appendChild(notification);
+    }
+
+    notification.textContent = message;
+    notification.style.display = 'block';
+
+    setTimeout(() => {
+        notification.style.display = 'none';
+    }, 3000);
+}
+
+/**
+ * Convert data URL to Blob
+ * @param {string} dataURL - Base64 data URL
+ * @returns {Blob}
+ */
+function decodeDataURL(dataURL) {
+    const arr = dataURL.split(',');
+    const mime = arr[0].match(/:(.*?);/)[1];
+    const bstr = atob(arr[1]);
+    let n = bstr.length;
+    const u8arr = new Uint8Array(n);
+    while (n--) {
+        u8arr[n] = bstr.charCodeAt(n);
+    }
+    return new Blob([u8arr], { type: mime });
+}
+
+/**
+ * Format date simple
+ * @param {string} dateString - ISO date string
+ * @returns {string} - Formatted date
+ */
+function formatDateSimple(dateString) {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('es-ES', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ================================
+// Autosave (crash recovery)
 // ================================
 
+// Wait this long after the last change before writing the draft
+const AUTOSAVE_DELAY = 2000;
+const DRAFT_ID = 'current';
+
+let autosaveTimer = null;
+
 /**
- * Convert a file to base64 data URL
- * @param {File} file - The file to convert
- * @returns {Promise<string>} - Base64 data URL
+ * Setup autosave triggers: form edits and the tab going to the background
  */
-function fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsDataURL(file);
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = error => reject(error);
+function setupAutosave() {
+    // Report form, captions, statuses and group descriptions all live in the dashboard
+    const dashboard = document.getElementById('dashboard-section');
+    dashboard.addEventListener('input', scheduleAutosave);
+    dashboard.addEventListener('change', scheduleAutosave);
+
+    // Mobile browsers may kill a hidden tab without further notice
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && autosaveTimer) {
+            autosaveDraft();
+        }
     });
 }
 
 /**
- * Handle uploaded files
- * @param {FileList} files - Array of uploaded files
+ * Write the draft once changes settle
  */
-async function handleFiles(files) {
-    if (!files || files.length === 0) return;
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosaveDraft, AUTOSAVE_DELAY);
+}
 
-    // Show progress
-    document.getElementById('upload-section').classList.remove('hidden');
-    document.getElementById('upload-progress').classList.remove('hidden');
+/**
+ * Write the working session to the drafts store
+ */
+async function autosaveDraft() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!db) return;
 
-    const validFiles = Array.from(files).filter(file =>
-        file.type.match(/image\/(jpeg|jpg|png)/i)
-    );
+    try {
+        if (state.photos.length === 0) {
+            await clearDraft();
+            return;
+        }
 
-    if (validFiles.length === 0) {
-        alert('No se encontraron imágenes válidas. Por favor, sube archivos JPG, JPEG o PNG.');
-        document.getElementById('upload-progress').classList.add('hidden');
-        return;
+        // Only images missing from the photos store are written
+        const report = collectReportData(state.reportId);
+        await saveDraftToDB({
+            id: DRAFT_ID,
+            reportId: state.reportId,
+            savedAt: report.savedAt,
+            report: report
+        }, collectPhotoBlobs(state.photos));
+
+    } catch (error) {
+        console.warn('Autosave failed:', error);
+        if (isQuotaError(error)) {
+            showNotification('Sin espacio para el autoguardado: guarda el reporte o libera espacio en Almacenamiento');
+        }
     }
+}
 
-    const total = validFiles.length;
-    let processed = 0;
+/**
+ * Discard the draft (after a manual save, a load or a reset)
+ */
+async function clearDraft() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
 
-    // Process each file
-    for (const file of validFiles) {
-        const fileId = file.name + '_' + file.size + '_' + file.lastModified;
+    try {
+        await clearDraftFromDB();
+        await deleteUnreferencedPhotosFromDB();
+    } catch (error) {
+        console.warn('Could not clear draft:', error);
+    }
+}
 
-        if (state.processedFiles.has(fileId)) {
-            console.log('Skipping duplicate file:', file.name);
-            continue;
+/**
+ * Offer to restore the session that was open when the app last closed
+ */
+async function offerDraftRestore() {
+    try {
+        const draft = await getDraftFromDB(DRAFT_ID);
+        if (!draft) return;
+
+        const count = draft.report.photos.length;
+        if (count === 0 || !confirm(
+            `Hay una sesión sin guardar del ${formatDateSimple(draft.savedAt)} con ${count} fotografía${count !== 1 ? 's' : ''}. ¿Quieres restaurarla?`
+        )) {
+            await clearDraft();
+            return;
         }
 
-        try {
-            state.processedFiles.add(fileId);
+        restoreReportState(draft.report);
+        state.reportId = draft.reportId || null;
+        showNotification('Sesión restaurada');
 
-            // Compress image first to reduce size
-            const compressedFile = await compressImage(file);
+    } catch (error) {
+        console.error('Error restoring draft:', error);
+    }
+}
+
+// ================================
+// Report Versions (edit history)
+// ================================
 
-            // Convert to base64 for display and storage
-            const base64Data = await fileToBase64(compressedFile);
+// Oldest snapshots beyond this count are discarded on save
+const MAX_REPORT_VERSIONS = 30;
+
+const VERSION_FIELD_LABELS = {
+    title: 'Título',
+    code: 'Código / Referencia',
+    author: 'Autor',
+    date: 'Fecha',
+    layout: 'Diseño del PDF',
+    compression: 'Calidad de imagen',
+    brandingId: 'Marca / Cliente'
+};
 
-            // Create object URL for immediate display
-            const objectUrl = URL.createObjectURL(compressedFile);
+let versionsList = [];
 
-            // Add to state - store base64Data for PDF generation
-            state.photos.push({
-                id: generateUniqueId(),
-                originalName: file.name,
-                compressedFile: compressedFile,
-                objectUrl: objectUrl,
-                base64Data: base64Data,
-                group: extractGroupName(file.name)
-            });
+/**
+ * Store a snapshot of a saved report
+ * @param {Object} report - Report record as written to the reports store
+ * @param {string} [note] - Why the version was created
+ * @returns {Promise<Object>} - The new version
+ */
+async function createReportVersion(report, note = '') {
+    const previous = await getVersionsFromDB(report.id);
+    const number = previous.reduce((max, version) => Math.max(max, version.number), 0) + 1;
+
+    // Images are referenced by content key, so unchanged photos are shared with the report
+    const version = {
+        id: `version_${report.id}_${number}`,
+        reportId: report.id,
+        number: number,
+        savedAt: report.savedAt,
+        author: report.author || '',
+        note: note,
+        report: report
+    };
+    await saveVersionToDB(version);
+
+    const expired = previous
+        .sort((a, b) => a.number - b.number)
+        .slice(0, Math.max(0, previous.length + 1 - MAX_REPORT_VERSIONS));
+    if (expired.length > 0) {
+        await deleteReportVersions(expired.map(v => v.id));
+    }
 
-            processed++;
-            updateProgress(processed, total);
+    return version;
+}
 
-        } catch (error) {
-            console.error('Error processing file:', file.name, error);
-            state.processedFiles.delete(fileId);
+/**
+ * Delete versions and the images only they referenced
+ * @param {Array<string>} versionIds - Versions to delete
+ */
+async function deleteReportVersions(versionIds) {
+    await deleteVersionsFromDB(versionIds);
+    await deleteUnreferencedPhotosFromDB();
+}
+
+/**
+ * Show the version history of a saved report
+ * @param {string} reportId - ID of the report
+ */
+async function showReportVersions(reportId) {
+    const modal = document.getElementById('versions-modal');
+    if (!modal) return;
+
+    try {
+        const report = await getReportFromDB(reportId);
+        if (!report) {
+            alert('Reporte no encontrado.');
+            return;
         }
+
+        versionsList = (await getVersionsFromDB(reportId)).sort((a, b) => b.number - a.number);
+
+        document.getElementById('versions-title').textContent = `Historial: ${report.title}`;
+        renderReportVersions();
+        modal.classList.remove('hidden');
+
+    } catch (error) {
+        console.error('Error showing versions:', error);
+        alert('Error al mostrar el historial: ' + error.message);
     }
+}
 
-    // Complete
-    setTimeout(() => {
-        document.getElementById('upload-progress').classList.add('hidden');
-        if (state.photos.length > 0) {
-            groupPhotos();
-            renderDashboard();
+/**
+ * Render the version list and the compare selectors
+ */
+function renderReportVersions() {
+    const list = document.getElementById('versions-list');
+    const compare = document.getElementById('versions-compare');
+    document.getElementById('versions-diff').innerHTML = '';
+
+    if (versionsList.length === 0) {
+        list.innerHTML = '<p class="versions-empty">Este reporte no tiene versiones guardadas. Se creará una la próxima vez que lo guardes.</p>';
+        compare.classList.add('hidden');
+        return;
+    }
+
+    list.innerHTML = versionsList.map((version, index) => `
+        <div class="version-item" data-version-id="${escapeHtml(version.id)}">
+            <div class="version-info">
+                <strong>Versión ${version.number}${index === 0 ? ' (actual)' : ''}</strong>
+                <span>${formatDateSimple(version.savedAt)}${version.author ? ' · ' + escapeHtml(version.author) : ''} · ${version.report.photos.length} fotos</span>
+                ${version.note ? `<small>${escapeHtml(version.note)}</small>` : ''}
+            </div>
+            ${index === 0 ? '' : `<button class="btn-secondary" onclick="restoreReportVersion(this.closest('.version-item').dataset.versionId)">Restaurar</button>`}
+        </div>
+    `).join('');
+
+    // Compare the previous version with the current one by default
+    const options = versionsList.map(version =>
+        `<option value="${escapeHtml(version.id)}">Versión ${version.number} (${formatDateSimple(version.savedAt)})</option>`
+    ).join('');
+    const fromSelect = document.getElementById('versions-compare-from');
+    const toSelect = document.getElementById('versions-compare-to');
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    fromSelect.value = versionsList[Math.min(1, versionsList.length - 1)].id;
+    toSelect.value = versionsList[0].id;
+    compare.classList.toggle('hidden', versionsList.length < 2);
+}
+
+/**
+ * Compare the two versions chosen in the history dialog
+ */
+function compareSelectedVersions() {
+    const from = versionsList.find(v => v.id === document.getElementById('versions-compare-from').value);
+    const to = versionsList.find(v => v.id === document.getElementById('versions-compare-to').value);
+    const container = document.getElementById('versions-diff');
+    if (!from || !to) return;
+
+    // Always read the diff from the older to the newer version
+    const [older, newer] = from.number <= to.number ? [from, to] : [to, from];
+    const diff = diffReportVersions(older.report, newer.report);
+
+    const sections = [];
+    if (diff.fields.length > 0) {
+        sections.push(`<h4>Campos</h4><ul>${diff.fields.map(change =>
+            `<li><strong>${escapeHtml(change.label)}:</strong> ${escapeHtml(change.from || '—')} → ${escapeHtml(change.to || '—')}</li>`
+        ).join('')}</ul>`);
+    }
+    if (diff.added.length > 0) {
+        sections.push(`<h4>Fotografías añadidas (${diff.added.length})</h4><ul>${diff.added.map(name =>
+            `<li class="diff-added">${escapeHtml(name)}</li>`
+        ).join('')}</ul>`);
+    }
+    if (diff.removed.length > 0) {
+        sections.push(`<h4>Fotografías eliminadas (${diff.removed.length})</h4><ul>${diff.removed.map(name =>
+            `<li class="diff-removed">${escapeHtml(name)}</li>`
+        ).join('')}</ul>`);
+    }
+    if (diff.changed.length > 0) {
+        sections.push(`<h4>Fotografías modificadas (${diff.changed.length})</h4><ul>${diff.changed.map(change =>
+            `<li><strong>${escapeHtml(change.name)}:</strong> ${change.changes.map(escapeHtml).join('; ')}</li>`
+        ).join('')}</ul>`);
+    }
+
+    container.innerHTML = `
+        <p>Cambios de la versión ${older.number} a la versión ${newer.number}</p>
+        ${sections.length > 0 ? sections.join('') : '<p>No hay diferencias entre estas versiones.</p>'}
+    `;
+}
+
+/**
+ * Differences between two report snapshots
+ * @param {Object} older - Older report snapshot
+ * @param {Object} newer - Newer report snapshot
+ * @returns {Object} - { fields, added, removed, changed }
+ */
+function diffReportVersions(older, newer) {
+    const fields = [];
+    const describe = (key, value) => {
+        if (key === 'layout') return PDF_LAYOUTS[value] ? PDF_LAYOUTS[value].label : value;
+        if (key === 'compression') return (COMPRESSION_PROFILES[value] || COMPRESSION_PROFILES[DEFAULT_COMPRESSION_PROFILE]).label;
+        if (key === 'brandingId') {
+            const branding = availableBrandings.find(b => b.id === value);
+            return branding ? branding.name : value;
         }
-        resetFileInput('file-input');
-    }, 500);
+        return value;
+    };
+
+    // Reports saved before compression profiles existed used the default one
+    const fieldValue = (report, key) => report[key] || (key === 'compression' ? DEFAULT_COMPRESSION_PROFILE : '');
+
+    Object.entries(VERSION_FIELD_LABELS).forEach(([key, label]) => {
+        if (fieldValue(older, key) !== fieldValue(newer, key)) {
+            fields.push({ label: label, from: describe(key, older[key]), to: describe(key, newer[key]) });
+        }
+    });
+
+    // Custom fields are labelled with the definitions of the newer branding
+    const branding = availableBrandings.find(b => b.id === newer.brandingId);
+    const fieldLabels = {};
+    (branding && branding.fields || []).forEach(field => { fieldLabels[field.id] = field.label; });
+    const olderCustom = older.customFields || {};
+    const newerCustom = newer.customFields || {};
+    new Set([...Object.keys(olderCustom), ...Object.keys(newerCustom)]).forEach(key => {
+        if ((olderCustom[key] || '') !== (newerCustom[key] || '')) {
+            fields.push({ label: fieldLabels[key] || key, from: olderCustom[key], to: newerCustom[key] });
+        }
+    });
+
+    const olderDescriptions = older.groupDescriptions || {};
+    const newerDescriptions = newer.groupDescriptions || {};
+    new Set([...Object.keys(olderDescriptions), ...Object.keys(newerDescriptions)]).forEach(group => {
+        if ((olderDescriptions[group] || '') !== (newerDescriptions[group] || '')) {
+            fields.push({ label: `Descripción del grupo ${group}`, from: olderDescriptions[group], to: newerDescriptions[group] });
+        }
+    });
+
+    // Only positions entered by hand are stored; the rest follow the photos
+    const olderLocations = older.groupLocations || {};
+    const newerLocations = newer.groupLocations || {};
+    const describeLocation = location => (location ? formatCoordinates(location) : 'GPS de las fotografías');
+    new Set([...Object.keys(olderLocations), ...Object.keys(newerLocations)]).forEach(group => {
+        const from = describeLocation(olderLocations[group]);
+        const to = describeLocation(newerLocations[group]);
+        if (from !== to) {
+            fields.push({ label: `Ubicación del grupo ${group}`, from: from, to: to });
+        }
+    });
+
+    const olderPhotos = new Map(older.photos.map(photo => [photo.id, photo]));
+    const newerPhotos = new Map(newer.photos.map(photo => [photo.id, photo]));
+
+    const added = newer.photos.filter(photo => !olderPhotos.has(photo.id)).map(photo => photo.originalName);
+    const removed = older.photos.filter(photo => !newerPhotos.has(photo.id)).map(photo => photo.originalName);
+
+    const statusLabel = status => (PHOTO_STATUSES[status] ? PHOTO_STATUSES[status].label : 'Sin estado');
+    const changed = [];
+    newer.photos.forEach(photo => {
+        const before = olderPhotos.get(photo.id);
+        if (!before) return;
+
+        const changes = [];
+        if (before.group !== photo.group) changes.push(`grupo ${before.group} → ${photo.group}`);
+        if ((before.caption || '') !== (photo.caption || '')) changes.push('comentario modificado');
+        if ((before.status || '') !== (photo.status || '')) changes.push(`estado ${statusLabel(before.status)} → ${statusLabel(photo.status)}`);
+        if ((before.slot || '') !== (photo.slot || '')) changes.push(`toma ${before.slot || 'sin asignar'} → ${photo.slot || 'sin asignar'}`);
+        if (before.imageKey !== photo.imageKey) changes.push('imagen editada');
+        if (changes.length > 0) changed.push({ name: photo.originalName, changes: changes });
+    });
+
+    return { fields: fields, added: added, removed: removed, changed: changed };
 }
 
 /**
- * Compress image to reduce file size and dimensions
- * @param {File} file - Original image file
- * @returns {Promise<File>} - Compressed image file
+ * Make an older version the current state of its report
+ * @param {string} versionId - Version to restore
  */
-function compressImage(file) {
-    return new Promise((resolve, reject) => {
-        const options = {
-            quality: 0.7,
-            maxWidth: 1000,
-            maxHeight: 1000,
-            strict: false,
-            success(result) {
-                resolve(result);
-            },
-            error(error) {
-                reject(error);
+async function restoreReportVersion(versionId) {
+    const version = versionsList.find(v => v.id === versionId);
+    if (!version) return;
+
+    if (!confirm(`¿Restaurar la versión ${version.number}? La versión actual se conservará en el historial y los cambios sin guardar se perderán.`)) {
+        return;
+    }
+
+    try {
+        const images = await getPhotoBlobsFromDB(getPhotoImageKeys(version.report.photos));
+
+        const missing = version.report.photos.find(photo => !images[photo.imageKey]);
+        if (missing) {
+            throw new Error(`falta la imagen de ${missing.originalName}`);
+        }
+
+        const report = { ...version.report, savedAt: new Date().toISOString() };
+        await saveReportRecord(report);
+        await createReportVersion(report, `Restaurada desde la versión ${version.number}`);
+
+        closeReportVersions();
+        await loadReport(report.id);
+
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        if (!handleQuotaError(error)) {
+            alert('Error al restaurar la versión: ' + error.message);
+        }
+    }
+}
+
+/**
+ * Close the version history dialog
+ */
+function closeReportVersions() {
+    const modal = document.getElementById('versions-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    versionsList = [];
+}
+
+// ================================
+// Report Packages (export/import)
+// ================================
+
+// A package is a ZIP with report.json plus one file per image.
+// Bump REPORT_PACKAGE_VERSION when the layout changes; older packages must stay importable.
+const REPORT_PACKAGE_FORMAT = 'photo-report-package';
+const REPORT_PACKAGE_VERSION = 1;
+const REPORT_PACKAGE_MANIFEST = 'report.json';
+
+// Ids end up in element attributes and DOM lookups: packages may only use plain ones
+const PACKAGE_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Export a saved report as a single ZIP file
+ * @param {string} reportId - ID of the report to export
+ */
+async function exportReportPackage(reportId) {
+    try {
+        const report = await getReportFromDB(reportId);
+        if (!report) {
+            alert('Reporte no encontrado.');
+            return;
+        }
+
+        await loadScriptOnce(ZIP_SCRIPT);
+        const zip = new JSZip();
+
+        const images = await getPhotoBlobsFromDB(getPhotoImageKeys(report.photos));
+        // The index field is rebuilt when the package is imported
+        const { imageKeys, ...reportData } = report;
+
+        // Images go to their own files; the manifest only references them
+        const photos = report.photos.map(photo => {
+            const { imageKey, originalImageKey, sourceImageKey, thumbnail, ...meta } = photo;
+            if (!images[imageKey]) {
+                throw new Error(`falta la imagen de ${photo.originalName}`);
             }
+            return {
+                ...meta,
+                image: addBlobToZip(zip, `images/${photo.id}`, images[imageKey]),
+                originalImage: images[originalImageKey] ? addBlobToZip(zip, `originals/${photo.id}`, images[originalImageKey]) : null,
+                // Optional: packages without sources still import, only without quality changes
+                sourceImage: images[sourceImageKey] ? addBlobToZip(zip, `sources/${photo.id}`, images[sourceImageKey]) : null
+            };
+        });
+
+        const manifest = {
+            format: REPORT_PACKAGE_FORMAT,
+            formatVersion: REPORT_PACKAGE_VERSION,
+            exportedAt: new Date().toISOString(),
+            report: { ...reportData, photos: photos },
+            // The branding travels with the report so another browser can rebuild the PDF
+            branding: availableBrandings.find(b => b.id === report.brandingId) || null
         };
+        zip.file(REPORT_PACKAGE_MANIFEST, JSON.stringify(manifest, null, 2));
 
-        new Compressor(file, options);
-    });
+        const blob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(blob, getReportPackageName(report));
+        showNotification('Reporte exportado');
+
+    } catch (error) {
+        console.error('Error exporting report:', error);
+        alert('Error al exportar el reporte: ' + error.message);
+    }
 }
 
 /**
- * Update upload progress bar
- * @param {number} current - Current progress
- * @param {number} total - Total files
+ * Import a report package and save it to IndexedDB
+ * @param {File} file - Package selected by the user
+ */
+async function importReportPackage(file) {
+    if (!file) return;
+
+    try {
+        await loadScriptOnce(ZIP_SCRIPT);
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file);
+        } catch (error) {
+            throw new Error('el archivo no es un paquete de reporte válido');
+        }
+
+        const manifest = await readReportPackageManifest(zip);
+
+        // Packaged images get the same content keys they would have on import from disk
+        const images = new Map();
+        const addImage = async ref => {
+            const blob = await readZipBlob(zip, ref);
+            const key = await hashImageBlob(blob);
+            images.set(key, blob);
+            return key;
+        };
+
+        const photos = [];
+        for (const photo of manifest.report.photos) {
+            const { image, originalImage, sourceImage, ...meta } = photo;
+            photos.push({
+                ...meta,
+                status: PHOTO_STATUSES[meta.status] ? meta.status : '',
+                imageKey: await addImage(image),
+                originalImageKey: originalImage ? await addImage(originalImage) : null,
+                sourceImageKey: sourceImage ? await addImage(sourceImage) : null,
+                thumbnail: null
+            });
+        }
+        const report = { ...manifest.report, photos: photos };
+
+        const existing = await getReportFromDB(report.id);
+        if (existing) {
+            const isOpen = state.reportId === existing.id;
+            const choice = prompt(
+                `Ya existe un reporte con el mismo identificador: "${existing.title}" (guardado el ${formatDateSimple(existing.savedAt)}).\n\n` +
+                '1: reemplazarlo por el importado (se borra su historial de versiones' +
+                (isOpen ? '; está abierto y se cerrará sin guardar los cambios' : '') + ').\n' +
+                '2: importarlo como una copia nueva.\n\nCancelar: no importar.',
+                '2'
+            );
+            if (choice === null) return;
+
+            if (choice.trim() === '1') {
+                // The replaced report starts a new history; an open session would save over it
+                if (isOpen) {
+                    resetSession();
+                }
+                await deleteVersionsFromDB((await getVersionsFromDB(existing.id)).map(version => version.id));
+            } else if (choice.trim() === '2') {
+                report.id = 'report_' + Date.now();
+                report.title = `${report.title} (importado)`;
+            } else {
+                alert('Opción no válida. No se ha importado el reporte.');
+                return;
+            }
+        }
+
+        // Bring the branding along; one with the same id but other content is kept as a new branding
+        let branding = sanitizePackageBranding(manifest.branding);
+        if (branding) {
+            const local = availableBrandings.find(b => b.id === branding.id);
+            if (local && !isSameBranding(local, branding)) {
+                branding = { ...branding, id: 'branding_' + Date.now(), name: `${branding.name} (importada)` };
+                report.brandingId = branding.id;
+            }
+            if (!local || local.id !== branding.id) {
+                await saveBrandingToDB(branding);
+                availableBrandings.push(branding);
+                renderBrandingSelect();
+            }
+        }
+
+        await saveReportRecord(report, images);
+        await createReportVersion(report, 'Importado desde un paquete');
+        showSavedReports();
+        showNotification('Reporte importado correctamente');
+
+    } catch (error) {
+        console.error('Error importing report:', error);
+        if (!handleQuotaError(error)) {
+            alert('Error al importar el reporte: ' + error.message);
+        }
+    }
+}
+
+/**
+ * Read and validate the manifest of a report package
+ * @param {JSZip} zip - Opened package
+ * @returns {Promise<Object>} - Manifest
+ */
+async function readReportPackageManifest(zip) {
+    const entry = zip.file(REPORT_PACKAGE_MANIFEST);
+    if (!entry) {
+        throw new Error(`falta el archivo ${REPORT_PACKAGE_MANIFEST}`);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await entry.async('string'));
+    } catch (error) {
+        throw new Error(`el archivo ${REPORT_PACKAGE_MANIFEST} está dañado`);
+    }
+
+    if (!manifest || manifest.format !== REPORT_PACKAGE_FORMAT) {
+        throw new Error('el archivo no es un paquete de reporte');
+    }
+    if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion < 1) {
+        throw new Error('el paquete no indica su versión de formato');
+    }
+    if (manifest.formatVersion > REPORT_PACKAGE_VERSION) {
+        throw new Error(`el paquete usa la versión ${manifest.formatVersion} del formato; actualiza la aplicación para importarlo`);
+    }
+
+    const report = manifest.report;
+    if (!report || !Array.isArray(report.photos)) {
+        throw new Error('faltan los datos del reporte');
+    }
+    if (!isPackageId(report.id) || report.photos.some(photo => !photo || !isPackageId(photo.id))) {
+        throw new Error('el paquete contiene identificadores no válidos');
+    }
+
+    const missing = report.photos.filter(photo =>
+        !photo.image || !zip.file(photo.image.path) ||
+        (photo.originalImage && !zip.file(photo.originalImage.path)) ||
+        (photo.sourceImage && !zip.file(photo.sourceImage.path))
+    );
+    if (missing.length > 0) {
+        throw new Error(`${missing.length !== 1 ? 'faltan' : 'falta'} ${missing.length} imagen${missing.length !== 1 ? 'es' : ''} en el paquete`);
+    }
+
+    return manifest;
+}
+
+/**
+ * Check an id read from a package
+ * @param {*} id - Value from the manifest
+ * @returns {boolean}
+ */
+function isPackageId(id) {
+    return typeof id === 'string' && PACKAGE_ID_PATTERN.test(id);
+}
+
+/**
+ * Keep only the parts of a packaged branding that are safe to store and render
+ * Logos must be embedded images and field ids plain ones; a branding with an invalid id is dropped.
+ * @param {Object} branding - Branding from the manifest
+ * @returns {Object|null} - Branding to save, or null
+ */
+function sanitizePackageBranding(branding) {
+    if (!branding || !isPackageId(branding.id)) return null;
+
+    const defaults = createBranding(branding.id, String(branding.name || 'Marca importada'));
+    return {
+        ...defaults,
+        primaryColor: /^#[0-9a-f]{6}$/i.test(branding.primaryColor) ? branding.primaryColor : defaults.primaryColor,
+        footerText: String(branding.footerText || ''),
+        cover: { ...defaults.cover, ...(branding.cover || {}), subtitle: String((branding.cover && branding.cover.subtitle) || '') },
+        logos: (Array.isArray(branding.logos) ? branding.logos : [])
+            .filter(logo => logo && typeof logo.src === 'string' && logo.src.startsWith('data:image/'))
+            .slice(0, MAX_BRANDING_LOGOS)
+            .map(logo => ({ name: String(logo.name || ''), src: logo.src })),
+        fields: (Array.isArray(branding.fields) ? branding.fields : [])
+            .filter(field => field && isPackageId(field.id))
+            .map(field => ({
+                id: field.id,
+                label: String(field.label || ''),
+                type: CUSTOM_FIELD_TYPES[field.type] ? field.type : 'text',
+                options: Array.isArray(field.options) ? field.options.map(String) : [],
+                required: !!field.required
+            }))
+    };
+}
+
+/**
+ * Whether two brandings print the same (edit dates aside)
+ * @param {Object} a - Branding
+ * @param {Object} b - Branding
+ * @returns {boolean}
+ */
+function isSameBranding(a, b) {
+    const content = branding => JSON.stringify({ ...sanitizePackageBranding(branding), updatedAt: null });
+    return content(a) === content(b);
+}
+
+/**
+ * Store an image as a binary file of the package
+ * @param {JSZip} zip - Package being built
+ * @param {string} basePath - Path without extension
+ * @param {Blob} blob - Image
+ * @returns {Object} - Reference ({ path, type }) for the manifest
+ */
+function addBlobToZip(zip, basePath, blob) {
+    const type = blob.type || 'image/jpeg';
+    const path = `${basePath}.${type === 'image/png' ? 'png' : 'jpg'}`;
+    zip.file(path, blob);
+    return { path: path, type: type };
+}
+
+/**
+ * Read a packaged image back as a Blob
+ * @param {JSZip} zip - Opened package
+ * @param {Object} ref - Reference ({ path, type }) from the manifest
+ * @returns {Promise<Blob>}
+ */
+async function readZipBlob(zip, ref) {
+    const type = /^image\/[\w.+-]+$/.test(ref.type) ? ref.type : 'image/jpeg';
+    return new Blob([await zip.file(ref.path).async('arraybuffer')], { type: type });
+}
+
+/**
+ * File name of an exported package
+ */
+function getReportPackageName(report) {
+    const base = (report.code || report.title || 'reporte').replace(/[^\w-]+/g, '_');
+    return `${base}_${(report.savedAt || new Date().toISOString()).split('T')[0]}.zip`;
+}
+
+/**
+ * Offer a Blob as a download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
  */
-function updateProgress(current, total) {
-    const percentage = (current / total) * 100;
-    const progressFill = document.getElementById('progress-fill');
-    const progressCount = document.getElementById('progress-count');
-    if (progressFill) progressFill.style.width = percentage + '%';
-    if (progressCount) progressCount.textContent = `${current}/${total}`;
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // ================================
-// Photo Grouping Logic
+// Storage (quota and cleanup)
 // ================================
 
+// Usage above this share of the quota is shown as a warning
+const STORAGE_WARNING_RATIO = 0.8;
+
+const RECOMPRESS_QUALITIES = {
+    '0.5': 'Media (50%)',
+    '0.35': 'Baja (35%)'
+};
+
 /**
- * Extract group name from filename
- * @param {string} filename - The filename to process
- * @returns {string} - The group name (base ID)
+ * Content keys of the images a list of photo records references
+ * @param {Array} photos - Photo records (report, version or draft)
+ * @returns {Array<string>}
  */
-function extractGroupName(filename) {
-    const nameWithoutExt = filename.replace(/\.[^/.]+$/, '');
-    const upperName = nameWithoutExt.toUpperCase();
-    const groupPattern = /^([A-Z0-9]+)/;
-    const match = upperName.match(groupPattern);
+function getPhotoImageKeys(photos) {
+    const keys = [];
+    photos.forEach(photo => {
+        keys.push(photo.imageKey);
+        if (photo.originalImageKey) keys.push(photo.originalImageKey);
+        if (photo.sourceImageKey) keys.push(photo.sourceImageKey);
+    });
+    return keys;
+}
 
-    if (match) {
-        return match[1];
-    }
-    return upperName;
+/**
+ * Whether a failed write ran out of storage
+ * @param {Error} error - Error of the write
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+    return !!error && error.name === 'QuotaExceededError';
 }
 
 /**
- * Group photos by their group name
+ * Explain a quota error and offer the storage panel
+ * @param {Error} error - Error of a failed save
+ * @returns {boolean} - Whether the error was a quota error
  */
-function groupPhotos() {
-    state.groups = {};
+function handleQuotaError(error) {
+    if (!isQuotaError(error)) return false;
 
-    for (const photo of state.photos) {
-        const groupName = photo.group;
-        if (!state.groups[groupName]) {
-            state.groups[groupName] = [];
-        }
-        state.groups[groupName].push(photo);
+    if (confirm('El navegador no tiene espacio para guardar. El reporte sigue abierto y no se ha perdido nada.\n\n¿Abrir el panel de almacenamiento para liberar espacio?')) {
+        showStoragePanel();
     }
+    return true;
+}
 
-    // Sort photos within each group
-    for (const groupName in state.groups) {
-        state.groups[groupName].sort((a, b) => {
-            return a.originalName.localeCompare(b.originalName, undefined, { numeric: true });
-        });
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
     }
-
-    // Sort groups
-    const sortedGroups = {};
-    Object.keys(state.groups).sort((a, b) => {
-        const numA = parseInt(a.replace(/[^0-9]/g, ''));
-        const numB = parseInt(b.replace(/[^0-9]/g, ''));
-        if (!isNaN(numA) && !isNaN(numB) && numA !== numB) {
-            return numA - numB;
-        }
-        return a.localeCompare(b, undefined, { sensitivity: 'base' });
-    }).forEach(key => {
-        sortedGroups[key] = state.groups[key];
-    });
-
-    state.groups = sortedGroups;
+    return `${value.toLocaleString('es-ES', { maximumFractionDigits: unit > 1 ? 1 : 0 })} ${units[unit]}`;
 }
 
-// ================================
-// Dashboard Rendering
-// ================================
-
 /**
- * Render the dashboard with photo groups
+ * Show the storage panel
  */
-function renderDashboard() {
-    const uploadSection = document.getElementById('upload-section');
-    const dashboardSection = document.getElementById('dashboard-section');
+async function showStoragePanel() {
+    const modal = document.getElementById('storage-modal');
+    if (!modal) return;
 
-    uploadSection.classList.add('hidden');
-    dashboardSection.classList.remove('hidden');
+    const select = document.getElementById('storage-recompress-quality');
+    select.innerHTML = Object.entries(RECOMPRESS_QUALITIES).map(([value, label]) =>
+        `<option value="${value}">${label}</option>`
+    ).join('');
 
-    renderGroups();
-    updateCounts();
+    modal.classList.remove('hidden');
+    await renderStoragePanel();
 }
 
 /**
- * Render all photo groups
+ * Close the storage panel
  */
-function renderGroups() {
-    const groupsList = document.getElementById('groups-list');
-    if (!groupsList) return;
-
-    groupsList.innerHTML = '';
+function closeStoragePanel() {
+    const modal = document.getElementById('storage-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
 
-    const groupNames = Object.keys(state.groups);
+/**
+ * Refresh usage, persistence and the per-report breakdown
+ */
+async function renderStoragePanel() {
+    await renderStorageUsage();
 
-    if (groupNames.length === 0) {
-        groupsList.innerHTML = `
-            <div class="group-card">
-                <div class="group-header" style="background: var(--text-muted);">
-                    <span class="group-title">Sin fotografías</span>
-                </div>
-                <div class="group-photos" style="text-align: center; color: var(--text-secondary);">
-                    <p style="grid-column: 1/-1; padding: 40px;">No hay fotografías para mostrar.</p>
-                </div>
-            </div>
-        `;
-        return;
+    const list = document.getElementById('storage-reports');
+    list.innerHTML = '<p class="storage-empty">Calculando...</p>';
+    try {
+        renderStorageReports(await getReportStorageSizes());
+    } catch (error) {
+        console.error('Error measuring reports:', error);
+        list.innerHTML = '<p class="storage-empty">No se pudo calcular el espacio de los reportes.</p>';
     }
-
-    groupNames.forEach(groupName => {
-        const photos = state.groups[groupName];
-        const groupCard = createGroupCard(groupName, photos);
-        groupsList.appendChild(groupCard);
-    });
 }
 
 /**
- * Create a group card element
- * @param {string} groupName - Name of the group
- * @param {Array} photos - Array of photos in the group
- * @returns {HTMLElement} - The group card element
+ * Show what the browser reports about usage, quota and persistence
  */
-function createGroupCard(groupName, photos) {
-    const card = document.createElement('div');
-    card.className = 'group-card';
-    card.dataset.group = groupName;
-
-    card.innerHTML = `
-        <div class="group-header">
-            <span class="group-title">${groupName}</span>
-            <span class="group-photos-count">${photos.length} fotografía${photos.length !== 1 ? 's' : ''}</span>
-        </div>
-        <div class="group-photos">
-            ${photos.map(photo => createPhotoItem(photo)).join('')}
-        </div>
-    `;
+async function renderStorageUsage() {
+    const fill = document.getElementById('storage-bar-fill');
+    const usageText = document.getElementById('storage-usage-text');
+    const persistText = document.getElementById('storage-persist-text');
+    const persistButton = document.getElementById('storage-persist-button');
+    const storage = navigator.storage;
+
+    if (!storage || !storage.estimate) {
+        fill.style.width = '0%';
+        usageText.textContent = 'Este navegador no informa del espacio disponible.';
+    } else {
+        const { usage = 0, quota = 0 } = await storage.estimate();
+        const ratio = quota > 0 ? usage / quota : 0;
+        fill.style.width = `${Math.min(100, ratio * 100)}%`;
+        fill.classList.toggle('warning', ratio >= STORAGE_WARNING_RATIO);
+        usageText.textContent = `${formatBytes(usage)} usados de ${formatBytes(quota)} disponibles (${Math.round(ratio * 100)}%)`;
+    }
 
-    return card;
+    const persisted = storage && storage.persisted ? await storage.persisted() : false;
+    persistText.textContent = persisted
+        ? 'Almacenamiento persistente: el navegador no borrará los reportes aunque el dispositivo se quede sin espacio.'
+        : 'Almacenamiento no persistente: el navegador puede borrar los reportes si el dispositivo se queda sin espacio.';
+    persistText.classList.toggle('warning', !persisted);
+    persistButton.classList.toggle('hidden', persisted || !storage || !storage.persist);
 }
 
 /**
- * Create a photo item element
- * @param {Object} photo - Photo object
- * @returns {string} - HTML string for the photo item
+ * Ask the browser not to evict the app data
  */
-function createPhotoItem(photo) {
-    return `
-        <div class="photo-item" data-photo-id="${photo.id}">
-            <img src="${photo.objectUrl}" alt="${photo.originalName}" loading="lazy">
-            <span class="photo-name">${photo.originalName}</span>
-            <button class="remove-photo" onclick="removePhoto('${photo.id}')" title="Eliminar">
-                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M18 6L6 18M6 6l12 12"/>
-                </svg>
-            </button>
-        </div>
-    `;
+async function requestPersistentStorage() {
+    try {
+        if (await navigator.storage.persist()) {
+            showNotification('Almacenamiento persistente activado');
+        } else {
+            alert('El navegador no ha concedido el almacenamiento persistente. Instalar la aplicación suele ser suficiente para obtenerlo.');
+        }
+    } catch (error) {
+        console.error('Error requesting persistence:', error);
+        alert('Error al solicitar el almacenamiento persistente: ' + error.message);
+    }
+    await renderStorageUsage();
 }
 
 /**
- * Remove a photo from the state
- * @param {string} photoId - ID of the photo to remove
+ * Measure the images of each saved report
+ * Images shared by several reports count towards each of them
+ * @returns {Promise<Array<Object>>} - Sizes per report, largest first
  */
-function removePhoto(photoId) {
-    const photoIndex = state.photos.findIndex(p => p.id === photoId);
-
-    if (photoIndex > -1) {
-        URL.revokeObjectURL(state.photos[photoIndex].objectUrl);
-        state.photos.splice(photoIndex, 1);
-        groupPhotos();
-        renderDashboard();
-    }
+async function getReportStorageSizes() {
+    const [reports, versions, sizes] = await Promise.all([
+        getAllReportsFromDB(),
+        getVersionsFromDB(),
+        getPhotoSizesFromDB()
+    ]);
+    const sumSizes = keys => [...keys].reduce((total, key) => total + (sizes[key] || 0), 0);
+
+    return reports.map(report => {
+        const currentKeys = new Set(getPhotoImageKeys(report.photos));
+        const reportVersions = versions.filter(version => version.reportId === report.id);
+
+        // History only counts images the current report no longer uses
+        const historyKeys = new Set();
+        reportVersions.forEach(version => getPhotoImageKeys(version.report.photos).forEach(key => {
+            if (!currentKeys.has(key)) historyKeys.add(key);
+        }));
+
+        const imageBytes = sumSizes(currentKeys);
+        const historyBytes = sumSizes(historyKeys);
+        return {
+            id: report.id,
+            title: report.title || 'Reporte sin título',
+            code: report.code || '',
+            savedAt: report.savedAt,
+            photoCount: report.photos.length,
+            versionCount: reportVersions.length,
+            imageBytes: imageBytes,
+            historyBytes: historyBytes,
+            totalBytes: imageBytes + historyBytes
+        };
+    }).sort((a, b) => b.totalBytes - a.totalBytes);
 }
 
 /**
- * Update photo and group counts
+ * Render the per-report size breakdown
+ * @param {Array<Object>} reports - Sizes from getReportStorageSizes
  */
-function updateCounts() {
-    const groupCount = Object.keys(state.groups).length;
-    const photoCount = state.photos.length;
+function renderStorageReports(reports) {
+    const list = document.getElementById('storage-reports');
 
-    const groupCountEl = document.getElementById('group-count');
-    const totalPhotosEl = document.getElementById('total-photos');
+    if (reports.length === 0) {
+        list.innerHTML = '<p class="storage-empty">No hay reportes guardados.</p>';
+        return;
+    }
 
-    if (groupCountEl) groupCountEl.textContent = groupCount;
-    if (totalPhotosEl) totalPhotosEl.textContent = `${photoCount} fotografía${photoCount !== 1 ? 's' : ''} en total`;
+    list.innerHTML = `
+        <table class="storage-table">
+            <thead>
+                <tr><th>Reporte</th><th>Fotos</th><th>Imágenes</th><th>Historial</th><th>Total</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${reports.map(report => `
+                    <tr data-report-id="${escapeHtml(report.id)}">
+                        <td>
+                            <strong>${escapeHtml(report.title)}</strong>
+                            <small>${report.code ? escapeHtml(report.code) + ' · ' : ''}${formatDateSimple(report.savedAt)}</small>
+                        </td>
+                        <td>${report.photoCount}</td>
+                        <td>${formatBytes(report.imageBytes)}</td>
+                        <td>${formatBytes(report.historyBytes)} <small>(${report.versionCount} ${report.versionCount !== 1 ? 'versiones' : 'versión'})</small></td>
+                        <td><strong>${formatBytes(report.totalBytes)}</strong></td>
+                        <td>
+                            ${report.versionCount > 1 ? `<button class="btn-secondary" onclick="clearVersionHistory([this.closest('tr').dataset.reportId])" title="Conservar solo la última versión">Vaciar historial</button>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
-// ================================
-// Save/Load System (IndexedDB - Unlimited Storage)
-// ================================
-
 /**
- * Save current report to IndexedDB (unlimited storage)
+ * Summaries of the reports saved more than the chosen number of days ago
+ * The report open in the app is left out so its images stay available
+ * @returns {Promise<Object|null>} - { days, reports } or null if the input is invalid
  */
-async function saveReport() {
-    if (state.photos.length === 0) {
-        alert('No hay fotografías para guardar.');
-        return;
+async function getOldReportSummaries() {
+    const days = parseInt(document.getElementById('storage-cleanup-days').value, 10);
+    if (!Number.isInteger(days) || days < 1) {
+        alert('Indica un número de días válido.');
+        return null;
     }
 
-    const reportTitle = document.getElementById('report-title').value || 'Reporte sin título';
-    const reportCode = document.getElementById('report-code').value || '';
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const reports = (await getAllReportSummariesFromDB())
+        .filter(summary => new Date(summary.savedAt).getTime() < cutoff && summary.id !== state.reportId);
 
-    // Create unique report ID
-    const reportId = 'report_' + Date.now();
+    if (reports.length === 0) {
+        alert(`No hay reportes guardados hace más de ${days} días (el reporte abierto no se incluye).`);
+        return null;
+    }
+    return { days: days, reports: reports };
+}
 
-    // Prepare report data - store base64Data directly
-    const photosToSave = state.photos.map(photo => ({
-        id: photo.id,
-        originalName: photo.originalName,
-        group: photo.group,
-        // Store base64 data directly - IndexedDB can handle large objects
-        imageData: photo.base64Data
-    }));
+/**
+ * Delete every report saved more than N days ago, with its history
+ */
+async function deleteOldReports() {
+    try {
+        const old = await getOldReportSummaries();
+        if (!old) return;
 
-    const reportData = {
-        id: reportId,
-        title: reportTitle,
-        code: reportCode,
-        author: document.getElementById('report-author').value || '',
-        date: document.getElementById('report-date').value || new Date().toISOString().split('T')[0],
-        photos: photosToSave,
-        savedAt: new Date().toISOString()
-    };
+        const count = old.reports.length;
+        if (!confirm(`Se eliminarán ${count} reporte${count !== 1 ? 's' : ''} guardado${count !== 1 ? 's' : ''} hace más de ${old.days} días, junto con su historial. Esta acción no se puede deshacer.`)) {
+            return;
+        }
 
-    try {
-        await saveReportToDB(reportData);
-        showNotification('Reporte guardado correctamente');
+        for (const summary of old.reports) {
+            await deleteReportFromDB(summary.id);
+            await deleteVersionsFromDB((await getVersionsFromDB(summary.id)).map(version => version.id));
+        }
+        await deleteUnreferencedPhotosFromDB();
+
+        showNotification(`${count} reporte${count !== 1 ? 's' : ''} eliminado${count !== 1 ? 's' : ''}`);
+        await refreshAfterCleanup();
 
     } catch (error) {
-        console.error('Error saving report:', error);
-        alert('Error al guardar el reporte: ' + error.message);
+        console.error('Error deleting old reports:', error);
+        alert('Error al eliminar los reportes: ' + error.message);
     }
 }
 
 /**
- * Load a saved report from IndexedDB
- * @param {string} reportId - ID of the report to load
+ * Recompress the images of every report saved more than N days ago
+ * Their history is replaced by a single version, otherwise the old images would stay stored
  */
-async function loadReport(reportId) {
-    try {
-        const report = await getReportFromDB(reportId);
+async function recompressOldReports() {
+    const status = document.getElementById('storage-status');
 
-        if (!report) {
-            alert('Reporte no encontrado.');
+    try {
+        const old = await getOldReportSummaries();
+        if (!old) return;
+
+        const quality = parseFloat(document.getElementById('storage-recompress-quality').value);
+        const count = old.reports.length;
+        if (!confirm(
+            `Se recomprimirán las imágenes de ${count} reporte${count !== 1 ? 's' : ''} guardado${count !== 1 ? 's' : ''} hace más de ${old.days} días ` +
+            `con calidad ${RECOMPRESS_QUALITIES[String(quality)].toLowerCase()}. Se descartarán sus imágenes de origen y su historial de versiones se vaciará para liberar el espacio.\n\n¿Continuar?`
+        )) {
             return;
         }
 
-        // Clear current state
-        for (const photo of state.photos) {
-            URL.revokeObjectURL(photo.objectUrl);
+        let saved = 0;
+        for (const [index, summary] of old.reports.entries()) {
+            status.textContent = `Recomprimiendo ${index + 1} de ${count}: ${summary.title || summary.id}`;
+            const report = await getReportFromDB(summary.id);
+            if (!report) continue;
+            saved += await recompressReport(report, quality);
         }
-        state.photos = [];
-        state.groups = {};
-        state.processedFiles.clear();
 
-        // Load photos from saved report
-        for (const savedPhoto of report.photos) {
-            // Create object URL from stored base64 data
-            const objectUrl = dataURLtoBlob(savedPhoto.imageData);
+        showNotification(`Recompresión terminada: ${formatBytes(saved)} liberados`);
+        await refreshAfterCleanup();
 
-            state.photos.push({
-                id: savedPhoto.id,
-                originalName: savedPhoto.originalName,
-                compressedFile: null,
-                objectUrl: objectUrl,
-                base64Data: savedPhoto.imageData,
-                group: savedPhoto.group
-            });
+    } catch (error) {
+        console.error('Error recompressing reports:', error);
+        if (!handleQuotaError(error)) {
+            alert('Error al recomprimir los reportes: ' + error.message);
         }
+    } finally {
+        status.textContent = '';
+    }
+}
 
-        // Regroup and render
-        groupPhotos();
-        renderDashboard();
+/**
+ * Recompress the images of one saved report and restart its history
+ * Source images are dropped: they are the largest and only needed to change the quality
+ * @param {Object} report - Report record
+ * @param {number} quality - JPEG quality
+ * @returns {Promise<number>} - Bytes saved
+ */
+async function recompressReport(report, quality) {
+    const sourceKeys = report.photos.map(photo => photo.sourceImageKey).filter(Boolean);
+    const sourceSizes = sourceKeys.length > 0 ? await getPhotoSizesFromDB(sourceKeys) : {};
+    report.photos = report.photos.map(photo => ({ ...photo, sourceImageKey: null }));
+
+    const keys = getPhotoImageKeys(report.photos);
+    const blobs = await getPhotoBlobsFromDB(keys);
+    const replacements = new Map();
+    const images = new Map();
+    // Sources shared with the working image (profile "Original") are not freed
+    let saved = [...new Set(sourceKeys)].reduce((total, key) => total + (keys.includes(key) ? 0 : sourceSizes[key] || 0), 0);
+
+    for (const key of new Set(keys)) {
+        if (!blobs[key]) continue;
+
+        const compressed = await compressImage(blobs[key], { quality: quality, maxSize: null });
+        // Already small enough: keep the stored image
+        if (compressed.size >= blobs[key].size) continue;
+
+        const newKey = await hashImageBlob(compressed);
+        replacements.set(key, newKey);
+        images.set(newKey, compressed);
+        saved += blobs[key].size - compressed.size;
+    }
 
-        // Fill form fields
-        document.getElementById('report-title').value = report.title || 'REPORTE DE FOTOS';
-        document.getElementById('report-code').value = report.code || '';
-        document.getElementById('report-author').value = report.author || '';
-        document.getElementById('report-date').value = report.date || new Date().toISOString().split('T')[0];
+    if (replacements.size === 0 && sourceKeys.length === 0) return 0;
 
-        // Close modal
-        closeSavedReportsModal();
+    report.photos = report.photos.map(photo => ({
+        ...photo,
+        imageKey: replacements.get(photo.imageKey) || photo.imageKey,
+        originalImageKey: photo.originalImageKey ? replacements.get(photo.originalImageKey) || photo.originalImageKey : null
+    }));
 
-        showNotification('Reporte cargado correctamente');
+    await saveReportRecord(report, images);
+    await deleteVersionsFromDB((await getVersionsFromDB(report.id)).map(version => version.id));
+    await createReportVersion(report, `Recomprimido con calidad ${Math.round(quality * 100)}%`);
+    await deleteUnreferencedPhotosFromDB();
 
-    } catch (error) {
-        console.error('Error loading report:', error);
-        alert('Error al cargar el reporte: ' + error.message);
-    }
+    return saved;
 }
 
 /**
- * Show saved reports modal
+ * Keep only the latest version of reports
+ * @param {Array<string>} [reportIds] - Reports to clean; all when omitted
  */
-async function showSavedReports() {
-    const modal = document.getElementById('saved-reports-modal');
-    const list = document.getElementById('saved-reports-list');
-    const noReportsMsg = document.getElementById('no-reports-message');
-
-    if (!modal || !list) return;
+async function clearVersionHistory(reportIds) {
+    const message = reportIds
+        ? '¿Vaciar el historial de este reporte? Solo se conservará la última versión.'
+        : '¿Vaciar el historial de todos los reportes? Solo se conservará la última versión de cada uno.';
+    if (!confirm(message)) return;
 
     try {
-        const savedReports = await getAllReportsFromDB();
-
-        list.innerHTML = '';
+        const versions = await getVersionsFromDB();
+        const latest = {};
+        versions.forEach(version => {
+            if (!latest[version.reportId] || version.number > latest[version.reportId].number) {
+                latest[version.reportId] = version;
+            }
+        });
 
-        if (!savedReports || savedReports.length === 0) {
-            list.style.display = 'none';
-            if (noReportsMsg) noReportsMsg.style.display = 'block';
-        } else {
-            if (noReportsMsg) noReportsMsg.style.display = 'none';
-            list.style.display = 'grid';
-
-            // Sort by date (newest first)
-            savedReports.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
-
-            savedReports.forEach(report => {
-                const reportItem = document.createElement('div');
-                reportItem.className = 'saved-report-item';
-                reportItem.innerHTML = `
-                    <div class="report-info">
-                        <h4>${report.title}</h4>
-                        <p>${report.code ? 'Ref: ' + report.code : ''} | ${report.photos.length} fotos | ${formatDateSimple(report.savedAt)}</p>
-                    </div>
-                    <div class="report-actions">
-                        <button class="btn-load-report" onclick="loadReport('${report.id}')">Cargar</button>
-                        <button class="btn-delete-report" onclick="deleteReport('${report.id}')">Eliminar</button>
-                    </div>
-                `;
-                list.appendChild(reportItem);
-            });
-        }
+        const expired = versions.filter(version =>
+            latest[version.reportId] !== version && (!reportIds || reportIds.includes(version.reportId))
+        );
+        await deleteReportVersions(expired.map(version => version.id));
 
-        modal.classList.remove('hidden');
+        showNotification(`${expired.length} ${expired.length !== 1 ? 'versiones' : 'versión'} eliminada${expired.length !== 1 ? 's' : ''}`);
+        await refreshAfterCleanup();
 
     } catch (error) {
-        console.error('Error showing saved reports:', error);
-        alert('Error al mostrar reportes guardados: ' + error.message);
+        console.error('Error clearing history:', error);
+        alert('Error al vaciar el historial: ' + error.message);
     }
 }
 
 /**
- * Delete a saved report from IndexedDB
- * @param {string} reportId - ID of the report to delete
+ * Update the storage panel and, if open, the saved reports list
  */
-async function deleteReport(reportId) {
-    if (!confirm('¿Estás seguro de que quieres eliminar este reporte?')) {
-        return;
+async function refreshAfterCleanup() {
+    await renderStoragePanel();
+    if (!document.getElementById('saved-reports-modal').classList.contains('hidden')) {
+        await showSavedReports();
     }
+}
 
-    try {
-        await deleteReportFromDB(reportId);
-        showSavedReports();
-        showNotification('Reporte eliminado');
+// ================================
+// Background Workers
+// ================================
 
-    } catch (error) {
-        console.error('Error deleting report:', error);
-        alert('Error al eliminar el reporte: ' + error.message);
-    }
+const COMPRESSION_WORKER_SCRIPT = 'js/compress-worker.js';
+const PDF_WORKER_SCRIPT = 'js/pdf-worker.js';
+
+// Images compressed at once; one core is left for the page itself
+const COMPRESSION_CONCURRENCY = Math.max(1, Math.min(3, (navigator.hardwareConcurrency || 2) - 1));
+
+// Created on first use; replaced by the main-thread path if its workers cannot start
+let compressionPool = null;
+
+/**
+ * Check whether background workers can be used (they cannot be loaded from file://)
+ * @returns {boolean}
+ */
+function supportsWorkers() {
+    return typeof Worker !== 'undefined' && location.protocol !== 'file:';
 }
 
 /**
- * Close saved reports modal
+ * Check whether images can be compressed in a worker
+ * @returns {boolean}
  */
-function closeSavedReportsModal() {
-    const modal = document.getElementById('saved-reports-modal');
-    if (modal) {
-        modal.classList.add('hidden');
-    }
+function supportsWorkerCompression() {
+    return supportsWorkers() &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof OffscreenCanvas.prototype.convertToBlob === 'function' &&
+        typeof createImageBitmap === 'function' &&
+        !(compressionPool && compressionPool.failed);
 }
 
 /**
- * Show notification message
- * @param {string} message - Message to display
+ * Check whether an error comes from a cancelled operation
+ * @param {Error} error - Error to check
+ * @returns {boolean}
  */
-function showNotification(message) {
-    let notification = document.getElementById('notification');
-    if (!notification) {
-        notification = document.createElement('div');
-        notification.id = 'notification';
-        notification.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: #10b981;
-            color: white;
-            padding: 12px 24px;
-            border-radius: 8px;
-            font-size: 14px;
-            font-weight: 500;
-            z-index: 10000;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-        `;
-        document.body.appendChild(notification);
-    }
-
-    notification.textContent = message;
-    notification.style.display = 'block';
-
-    setTimeout(() => {
-        notification.style.display = 'none';
-    }, 3000);
+function isCancelError(error) {
+    return Boolean(error) && error.name === 'AbortError';
 }
 
 /**
- * Convert data URL to Blob URL
- * @param {string} dataURL - Base64 data URL
- * @returns {string} - Blob URL
+ * Create a pool of workers running the same script, with at most `size` tasks at once
+ * Each task is a message; the worker answers with { id, ... } or { id, error }.
+ * @param {string} script - Worker script URL
+ * @param {number} size - Maximum number of workers
+ * @returns {Object} - { run(message, signal), failed }
  */
-function dataURLtoBlob(dataURL) {
-    const arr = dataURL.split(',');
-    const mime = arr[0].match(/:(.*?);/)[1];
-    const bstr = atob(arr[1]);
-    let n = bstr.length;
-    const u8arr = new Uint8Array(n);
-    while (n--) {
-        u8arr[n] = bstr.charCodeAt(n);
-    }
-    return URL.createObjectURL(new Blob([u8arr], { type: mime }));
+function createWorkerPool(script, size) {
+    const workers = [];
+    const idle = [];
+    const queue = [];
+    const tasks = new Map();
+    let nextId = 0;
+
+    const pool = {
+        failed: false,
+
+        // Aborting the signal rejects the task with an AbortError; other callers' tasks go on
+        run(message, signal = null) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(new DOMException('Operación cancelada', 'AbortError'));
+                    return;
+                }
+
+                const task = { id: ++nextId, message: message };
+                const onAbort = () => abortTask(task);
+                const settle = callback => (value) => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    callback(value);
+                };
+                task.resolve = settle(resolve);
+                task.reject = settle(reject);
+                if (signal) signal.addEventListener('abort', onAbort);
+
+                queue.push(task);
+                dispatch();
+            });
+        }
+    };
+
+    // A queued task just leaves the queue; a running one takes its worker down with it
+    const abortTask = (task) => {
+        const queued = queue.indexOf(task);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+        } else if (tasks.has(task.id)) {
+            tasks.delete(task.id);
+            task.worker.terminate();
+            workers.splice(workers.indexOf(task.worker), 1);
+        } else {
+            return;
+        }
+        task.reject(new DOMException('Operación cancelada', 'AbortError'));
+        dispatch();
+    };
+
+    const spawn = () => {
+        const worker = new Worker(script);
+
+        worker.onmessage = (event) => {
+            const task = tasks.get(event.data.id);
+            if (!task) return;
+            tasks.delete(task.id);
+            idle.push(worker);
+
+            if (event.data.error) {
+                task.reject(new Error(event.data.error));
+            } else {
+                task.resolve(event.data);
+            }
+            dispatch();
+        };
+
+        // A worker that cannot load takes its task down; the pool is marked as failed
+        worker.onerror = (event) => {
+            event.preventDefault();
+            pool.failed = true;
+            worker.terminate();
+            workers.splice(workers.indexOf(worker), 1);
+            tasks.forEach(task => {
+                if (task.worker !== worker) return;
+                tasks.delete(task.id);
+                task.reject(new Error(event.message || 'Worker error'));
+            });
+            queue.splice(0).forEach(task => task.reject(new Error('Worker error')));
+        };
+
+        workers.push(worker);
+        return worker;
+    };
+
+    const dispatch = () => {
+        while (!pool.failed && queue.length > 0 && (idle.length > 0 || workers.length < size)) {
+            const worker = idle.pop() || spawn();
+            const task = queue.shift();
+            task.worker = worker;
+            tasks.set(task.id, task);
+            worker.postMessage({ id: task.id, ...task.message });
+        }
+    };
+
+    return pool;
 }
 
 /**
- * Format date simple
- * @param {string} dateString - ISO date string
- * @returns {string} - Formatted date
+ * Get the compression worker pool, creating it on first use
+ * @returns {Object} - Worker pool
  */
-function formatDateSimple(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('es-ES', {
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+function getCompressionPool() {
+    if (!compressionPool) {
+        compressionPool = createWorkerPool(COMPRESSION_WORKER_SCRIPT, COMPRESSION_CONCURRENCY);
+    }
+    return compressionPool;
 }
 
 // ================================
 // PDF Generation - FIXED with proper pagination
 // ================================
 
+// Set while a PDF is being generated; aborting it cancels the build
+let pdfController = null;
+
+// Last generated PDF, kept for the share and download actions
+let generatedPdf = null;
+
 /**
  * Generate PDF report with ALL photos
  */
@@ -802,6 +6990,16 @@ async function generatePDF() {
         return;
     }
 
+    const fieldErrors = validateCustomFields();
+    if (fieldErrors.length > 0) {
+        alert('Completa los datos del reporte antes de generar el PDF:\n\n- ' + fieldErrors.join('\n- '));
+        return;
+    }
+
+    if (!confirmChecklistCompleteness()) {
+        return;
+    }
+
     const modal = document.getElementById('generating-modal');
     const progressFill = document.getElementById('pdf-progress');
     const statusText = document.getElementById('pdf-status');
@@ -812,277 +7010,318 @@ async function generatePDF() {
         return;
     }
 
+    const onProgress = (percent, text) => {
+        progressFill.style.width = percent + '%';
+        statusText.textContent = text;
+    };
+
     modal.classList.remove('hidden');
-    progressFill.style.width = '0%';
-    statusText.textContent = 'Inicializando...';
+    showPdfResultActions(false);
+    onProgress(0, 'Inicializando...');
+    pdfController = new AbortController();
+    const signal = pdfController.signal;
 
     try {
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF({
-            orientation: 'portrait',
-            unit: 'mm',
-            format: 'a4'
-        });
-
-        const pageWidth = 210;
-        const pageHeight = 297;
-        const margin = 15;
-        const contentWidth = pageWidth - (margin * 2);
-        let currentY = margin;
-        let currentPage = 1;
-
-        const addFooterAndWatermark = (pageNum, total, includeWatermark = true) => {
-            doc.setFontSize(10);
-            doc.setTextColor(100, 116, 139);
-            doc.setFont('helvetica', 'normal');
-            doc.text(`Página ${pageNum} de ${total}`, pageWidth - margin, pageHeight - 10, { align: 'right' });
-        };
-
-        const addPage = () => {
-            doc.addPage();
-            currentY = margin;
-            currentPage++;
-        };
-
-        const checkPageBreak = (requiredHeight) => {
-            const availableSpace = pageHeight - margin - 20;
-
-            if (currentY + requiredHeight > availableSpace) {
-                addPage();
-                return true;
-            }
-            return false;
-        };
-
-        statusText.textContent = 'Cargando logos...';
-        progressFill.style.width = '5%';
+        // Images of a loaded report may still be in the photos store
+        onProgress(2, 'Cargando imágenes...');
+        await loadPhotoBlobs(state.photos);
+
+        onProgress(5, 'Cargando logos...');
+        const job = await createPdfJob();
+        if (signal.aborted) {
+            throw new DOMException('Generación cancelada', 'AbortError');
+        }
 
-        const [logoElecnor, logoLyntia, logoRedes] = await Promise.all([
-            loadImageAsBase64('assets/logo-elecnor.png'),
-            loadImageAsBase64('assets/logo-lyntia.png', 'image/png'),
-            loadImageAsBase64('assets/logo-redes.png')
-        ]);
+        const result = await buildPdfInWorker(job, onProgress, signal);
 
         // ================================
-        // COVER PAGE
+        // SAVE PDF
         // ================================
-        statusText.textContent = 'Creando portada...';
-        progressFill.style.width = '10%';
-
-        const reportTitle = document.getElementById('report-title').value || 'REPORTE DE FOTOS';
-        const reportCode = document.getElementById('report-code').value || '';
-        const reportAuthor = document.getElementById('report-author').value || '';
-        const reportDate = document.getElementById('report-date').value;
-
-        const coverLogoHeight = 35;
-        const coverLogoWidth = 60;
-
-        const elecnorX = 30;
-        const lyntiaX = (pageWidth - coverLogoWidth) / 2;
-        const redesX = pageWidth - 30 - coverLogoWidth;
-        const logoY = 50;
-
-        if (logoElecnor) {
-            doc.addImage(logoElecnor, 'PNG', elecnorX, logoY, coverLogoWidth, coverLogoHeight, undefined, 'FAST');
-        }
-        if (logoLyntia) {
-            doc.addImage(logoLyntia, 'PNG', lyntiaX, logoY, coverLogoWidth, coverLogoHeight, undefined, 'FAST');
-        }
-        if (logoRedes) {
-            doc.addImage(logoRedes, 'PNG', redesX, logoY, coverLogoWidth, coverLogoHeight, undefined, 'FAST');
-        }
-
-        currentY = logoY + coverLogoHeight + 20;
+        onProgress(100, 'Guardando PDF...');
 
-        doc.setFontSize(28);
-        doc.setFont('helvetica', 'bold');
-        doc.setTextColor(0, 86, 179);
+        const timestamp = new Date().toISOString().slice(0, 10);
+        const filename = `Reporte_Fotos_${job.code || timestamp}`;
+        generatedPdf = new File([result.pdf], `${filename}.pdf`, { type: 'application/pdf' });
 
-        const titleLines = doc.splitTextToSize(reportTitle, contentWidth);
-        doc.text(titleLines, pageWidth / 2, currentY, { align: 'center' });
-        currentY += titleLines.length * 12 + 15;
+        statusText.textContent = `¡Reporte generado! ${result.photoCount} fotografías`;
 
-        if (reportCode) {
-            doc.setFontSize(18);
-            doc.setTextColor(100, 116, 139);
-            doc.setFont('helvetica', 'normal');
-            doc.text(`Referencia: ${reportCode}`, pageWidth / 2, currentY, { align: 'center' });
-            currentY += 15;
+        // Sharing needs a fresh tap, so the modal stays open with the share and download actions
+        if (canSharePdf(generatedPdf)) {
+            showPdfResultActions(true);
+            return;
         }
 
-        doc.setDrawColor(0, 86, 179);
-        doc.setLineWidth(0.5);
-        doc.line(margin + 20, currentY, pageWidth - margin - 20, currentY);
-        currentY += 20;
-
-        doc.setFontSize(14);
-        doc.setTextColor(30, 41, 59);
-
-        if (reportAuthor) {
-            doc.setFont('helvetica', 'normal');
-            doc.text(`Autor: ${reportAuthor}`, margin + 20, currentY);
-            currentY += 10;
-        }
+        downloadBlob(generatedPdf, generatedPdf.name);
+        setTimeout(() => {
+            modal.classList.add('hidden');
+        }, 1500);
 
-        if (reportDate) {
-            const formattedDate = formatDate(reportDate);
-            doc.text(`Fecha: ${formattedDate}`, margin + 20, currentY);
-            currentY += 10;
+    } catch (error) {
+        modal.classList.add('hidden');
+        if (isCancelError(error)) {
+            showNotification('Generación del PDF cancelada');
+            return;
         }
+        console.error('Error generating PDF:', error);
+        const errorMsg = error.message || 'Error desconocido';
+        alert('Error al generar el PDF: ' + errorMsg + '. Por favor, intenta de nuevo.');
+    } finally {
+        pdfController = null;
+    }
+}
 
-        const totalPhotos = state.photos.length;
-        doc.text(`Total de fotografías: ${totalPhotos}`, margin + 20, currentY);
-
-        currentY = pageHeight - 40;
-        doc.setFontSize(10);
-        doc.setTextColor(148, 163, 184);
-        doc.setFont('helvetica', 'normal');
-        doc.text('Generado por: Redes Carreras App', pageWidth / 2, currentY, { align: 'center' });
+/**
+ * Cancel the PDF being generated
+ */
+function cancelPdfGeneration() {
+    if (pdfController) {
+        pdfController.abort();
+    }
+}
 
-        // ================================
-        // CONTENT PAGES - ALL PHOTOS
-        // ================================
-        addPage();
+/**
+ * Collect everything the PDF shows into a job the PDF builder can use without the DOM
+ * @returns {Promise<Object>} - Job for buildReportPdf
+ */
+async function createPdfJob() {
+    const branding = getSelectedBranding();
+    const logos = (await Promise.all(
+        branding.logos.map(logo => loadImageAsBase64(logo.src, 'image/png'))
+    )).filter(Boolean);
 
-        statusText.textContent = 'Generando contenido...';
-        progressFill.style.width = '15%';
+    const reportDate = document.getElementById('report-date').value;
 
-        const groupNames = Object.keys(state.groups);
-        let processedGroups = 0;
-        let totalPhotosInPDF = 0;
+    // Empty groups created by hand are not printed
+    const groupNames = Object.keys(state.groups).filter(name => state.groups[name].length > 0);
 
-        // Calculate photo dimensions
-        const photoWidth = (contentWidth - 8) / 2;
-        const photoHeight = photoWidth * 0.75;
-        const photoGap = 8;
+    // The basemap is only loaded when some group has a position
+    const locations = groupNames.map(groupName => getGroupLocation(groupName));
+    const basemap = await loadPdfBasemap(locations.filter(Boolean));
 
-        for (const groupName of groupNames) {
-            const photos = state.groups[groupName];
+    return {
+        layout: getSelectedPdfLayout(),
+        title: document.getElementById('report-title').value || 'REPORTE DE FOTOS',
+        code: document.getElementById('report-code').value || '',
+        author: document.getElementById('report-author').value || '',
+        date: reportDate ? formatDate(reportDate) : '',
+        photoCount: state.photos.length,
+        branding: {
+            primaryColor: hexToRgb(branding.primaryColor),
+            cover: branding.cover,
+            footerText: branding.footerText
+        },
+        logos: logos,
+        fieldEntries: getCustomFieldEntries(branding),
+        compliance: state.profile && state.profile.complianceSummary ? getComplianceSummary() : [],
+        map: basemap ? createPdfMap(basemap, locations.filter(Boolean)) : null,
+        groups: groupNames.map((groupName, index) => ({
+            name: groupName,
+            description: (state.groupDescriptions[groupName] || '').trim(),
+            location: createPdfLocation(locations[index], basemap),
+            photos: state.groups[groupName].map(photo => ({
+                originalName: photo.originalName,
+                slot: getPhotoSlotLabel(photo),
+                caption: photo.caption || '',
+                status: PHOTO_STATUSES[photo.status] || null,
+                metadataLines: formatPhotoMetadataLines(photo),
+                image: photo.compressedFile
+            }))
+        }))
+    };
+}
 
-            // Check if we need a new page before the group header
-            checkPageBreak(30);
+/**
+ * Prepare a group position for the PDF (the builder has no access to the app's formatting)
+ * @param {Object|null} location - From getGroupLocation
+ * @param {Object|null} basemap - Loaded basemap, gives the municipality
+ * @returns {Object|null} - { latitude, longitude, label, url, place } or null
+ */
+function createPdfLocation(location, basemap) {
+    if (!location) return null;
+    return {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        label: formatCoordinates(location),
+        url: getMapsUrl(location),
+        place: basemap ? findMunicipality(basemap, location) : ''
+    };
+}
 
-            doc.setFillColor(0, 86, 179);
-            doc.rect(margin, currentY, contentWidth, 12, 'F');
+/**
+ * Build the PDF in the PDF worker, or on the main thread when the worker cannot start
+ * @param {Object} job - Job from createPdfJob
+ * @param {Function} onProgress - Called with (percent, status text)
+ * @param {AbortSignal} signal - Aborting stops the build
+ * @returns {Promise<Object>} - { pdf: ArrayBuffer, photoCount }
+ */
+function buildPdfInWorker(job, onProgress, signal) {
+    const isCancelled = () => signal.aborted;
+    if (!supportsWorkers()) {
+        return buildReportPdf(job, onProgress, isCancelled);
+    }
 
-            doc.setFontSize(14);
-            doc.setFont('helvetica', 'bold');
-            doc.setTextColor(255, 255, 255);
-            doc.text(groupName, margin + 5, currentY + 8);
-            currentY += 18;
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(PDF_WORKER_SCRIPT);
+        let started = false;
 
-            let col = 0;
-            let photoY = currentY;
+        const onAbort = () => {
+            finish();
+            reject(new DOMException('Generación cancelada', 'AbortError'));
+        };
+        const finish = () => {
+            worker.terminate();
+            signal.removeEventListener('abort', onAbort);
+        };
+        signal.addEventListener('abort', onAbort);
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            started = true;
+            if (message.type === 'progress') {
+                onProgress(message.percent, message.text);
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message);
+            } else {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
 
-            // Process ALL photos in the group - NO LIMIT
-            for (let i = 0; i < photos.length; i++) {
-                const photo = photos[i];
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish();
+            if (started) {
+                reject(new Error(event.message || 'El proceso de generación se detuvo'));
+                return;
+            }
+            // The worker script did not load: build on the main thread instead
+            console.warn('PDF worker unavailable, building on the main thread:', event.message);
+            buildReportPdf(job, onProgress, isCancelled).then(resolve, reject);
+        };
 
-                // Calculate position
-                const photoX = margin + (col * (photoWidth + photoGap));
+        worker.postMessage({ job: job });
+    });
+}
 
-                // Check for page break BEFORE drawing
-                const requiredHeight = photoHeight + 10;
-                if (currentY + requiredHeight > pageHeight - margin - 20) {
-                    doc.addPage();
-                    currentY = margin;
-                    photoY = currentY;
-                    col = 0;
-                }
+/**
+ * Get the PDF layout selected in the report form
+ * @returns {Object} - Layout definition from PDF_LAYOUTS
+ */
+function getSelectedPdfLayout() {
+    const select = document.getElementById('report-layout');
+    return PDF_LAYOUTS[select && select.value] || PDF_LAYOUTS[DEFAULT_PDF_LAYOUT];
+}
 
-                // Use base64Data directly (already available)
-                let imageData = photo.base64Data;
+/**
+ * Fill the layout selector of the report form
+ */
+function setupLayoutSelect() {
+    const select = document.getElementById('report-layout');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(PDF_LAYOUTS).map(([value, layout]) =>
+        `<option value="${value}">${layout.label}</option>`
+    ).join('');
+    select.value = DEFAULT_PDF_LAYOUT;
+    select.addEventListener('change', updatePdfSizeEstimate);
+}
 
-                if (imageData) {
-                    try {
-                        // Add image to PDF
-                        doc.addImage(imageData, 'JPEG', photoX, photoY, photoWidth, photoHeight);
+/**
+ * Fill the image quality selector of the report form
+ */
+function setupCompressionSelect() {
+    const select = document.getElementById('report-compression');
+    if (!select) return;
+
+    select.innerHTML = Object.entries(COMPRESSION_PROFILES).map(([value, profile]) =>
+        `<option value="${value}">${profile.label}</option>`
+    ).join('');
+    select.value = state.compression;
+}
 
-                        doc.setFontSize(7);
-                        doc.setFont('helvetica', 'normal');
-                        doc.setTextColor(100, 116, 139);
+/**
+ * Recompress the photos of the report from their source images with another profile
+ * @param {string} profileKey - Key of COMPRESSION_PROFILES
+ */
+async function changeCompressionProfile(profileKey) {
+    if (!COMPRESSION_PROFILES[profileKey]) return;
 
-                        let displayName = photo.originalName;
-                        if (displayName.length > 25) {
-                            displayName = displayName.substring(0, 22) + '...';
-                        }
+    const select = document.getElementById('report-compression');
+    const estimate = document.getElementById('pdf-size-estimate');
+    state.compression = profileKey;
 
-                        doc.text(displayName, photoX + photoWidth / 2, photoY + photoHeight + 5, { align: 'center' });
+    // Marked-up photos keep their image: recompressing the source would drop the markup
+    const photos = state.photos.filter(photo => photo.sourceImageKey && !photo.originalImageKey);
+    let kept = state.photos.length - photos.length;
 
-                        totalPhotosInPDF++;
-                    } catch (imgError) {
-                        console.error('Error adding image:', photo.originalName, imgError);
-                    }
-                }
+    select.disabled = true;
+    try {
+        await loadPhotoBlobs(photos, true);
 
-                // Move to next column/row
-                col++;
-                if (col >= 2) {
-                    col = 0;
-                    photoY += photoHeight + 12;
-                    // CRITICAL: Update currentY to track position on page
-                    currentY = photoY;
-                } else {
-                    // For left column, update currentY to track the right column's position
-                    currentY = photoY;
-                }
+        for (const [index, photo] of photos.entries()) {
+            estimate.textContent = `Aplicando calidad ${index + 1} de ${photos.length}...`;
+            if (!photo.sourceBlob) {
+                kept++;
+                continue;
             }
 
-            // Move to next row if we ended on odd column (left column only)
-            if (col === 1) {
-                photoY += photoHeight + 12;
-                currentY = photoY;
+            const working = await createWorkingImage(photo.sourceBlob, photo.sourceImageKey, profileKey);
+            if (working.key !== photo.imageKey) {
+                replacePhotoImage(photo, working.blob, working.key);
             }
-
-            // Update currentY to end of group
-            currentY = photoY + 15;
-
-            processedGroups++;
-            const groupProgress = (processedGroups / groupNames.length) * 80;
-            progressFill.style.width = (15 + groupProgress) + '%';
-            statusText.textContent = `Procesando... ${totalPhotosInPDF} fotos`;
-        }
-
-        // ================================
-        // ADD FOOTERS TO ALL PAGES
-        // ================================
-        statusText.textContent = 'Finalizando...';
-        progressFill.style.width = '95%';
-
-        const totalPages = doc.internal.getNumberOfPages();
-
-        for (let i = 1; i <= totalPages; i++) {
-            doc.setPage(i);
-            addFooterAndWatermark(i, totalPages, i > 1);
         }
+    } catch (error) {
+        console.error('Error changing quality:', error);
+        alert('Error al cambiar la calidad de las fotografías: ' + error.message);
+    } finally {
+        select.disabled = false;
+    }
 
-        // ================================
-        // SAVE PDF
-        // ================================
-        statusText.textContent = 'Guardando PDF...';
-        progressFill.style.width = '100%';
+    renderDashboard();
+    if (kept > 0) {
+        showNotification(`${kept} fotografía${kept !== 1 ? 's' : ''} conserva${kept !== 1 ? 'n' : ''} su calidad (con marcas o sin imagen de origen)`);
+    }
+}
 
-        const timestamp = new Date().toISOString().slice(0, 10);
-        let filename = `Reporte_Fotos_${reportCode || timestamp}`;
-        if (reportCode) {
-            filename = `Reporte_Fotos_${reportCode}`;
-        } else {
-            filename = `Reporte_Fotos_${timestamp}`;
-        }
+// Rough size of what jsPDF adds around the embedded JPEG bytes
+const PDF_BASE_SIZE = 40 * 1024;
+const PDF_PAGE_SIZE = 4 * 1024;
 
-        doc.save(`${filename}.pdf`);
+// Only the latest estimate is shown when several run at once
+let pdfEstimateGeneration = 0;
 
-        statusText.textContent = `¡Reporte generado! ${totalPhotosInPDF} fotografías`;
+/**
+ * Show the expected size of the PDF before generating it
+ */
+async function updatePdfSizeEstimate() {
+    const estimate = document.getElementById('pdf-size-estimate');
+    if (!estimate) return;
 
-        setTimeout(() => {
-            modal.classList.add('hidden');
-        }, 1500);
+    const generation = ++pdfEstimateGeneration;
+    if (state.photos.length === 0) {
+        estimate.textContent = '';
+        return;
+    }
 
+    try {
+        // Images are embedded without re-encoding, so their size dominates
+        const unloaded = state.photos.filter(photo => !photo.compressedFile).map(photo => photo.imageKey);
+        const storedSizes = unloaded.length > 0 ? await getPhotoSizesFromDB(unloaded) : {};
+        const imageBytes = state.photos.reduce((total, photo) =>
+            total + (photo.compressedFile ? photo.compressedFile.size : storedSizes[photo.imageKey] || 0), 0);
+
+        const layout = getSelectedPdfLayout();
+        const perPage = layout.columns * layout.rows;
+        const photoPages = Object.values(state.groups).reduce((total, photos) => total + Math.ceil(photos.length / perPage), 0);
+        const logoBytes = getSelectedBranding().logos.reduce((total, logo) => total + Math.round(logo.src.length * 0.75), 0);
+
+        const bytes = PDF_BASE_SIZE + logoBytes + imageBytes + (photoPages + 2) * PDF_PAGE_SIZE;
+        if (generation === pdfEstimateGeneration) {
+            estimate.textContent = `Tamaño estimado del PDF: ${formatBytes(bytes)}`;
+        }
     } catch (error) {
-        console.error('Error generating PDF:', error);
-        const errorMsg = error.message || 'Error desconocido';
-        alert('Error al generar el PDF: ' + errorMsg + '. Por favor, intenta de nuevo.');
-        modal.classList.add('hidden');
+        console.warn('Could not estimate PDF size:', error);
     }
 }
 
@@ -1090,6 +7329,11 @@ async function generatePDF() {
  * Load image as base64 with robust error handling
  */
 function loadImageAsBase64(src, defaultType = 'image/jpeg') {
+    // Uploaded logos are already stored as data URLs
+    if (src && src.startsWith('data:')) {
+        return Promise.resolve(src);
+    }
+
     return new Promise((resolve) => {
         const img = new Image();
         img.crossOrigin = 'anonymous';
@@ -1122,6 +7366,20 @@ function loadImageAsBase64(src, defaultType = 'image/jpeg') {
     });
 }
 
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Format date for display
  */
@@ -1137,6 +7395,106 @@ function generateUniqueId() {
     return 'photo_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+// ================================
+// Sharing (Web Share API and share target)
+// ================================
+
+// Files shared to the installed app are parked here by the service worker (see sw.js)
+const SHARE_CACHE = 'shared-files';
+const SHARE_PARAM = 'shared';
+
+/**
+ * Check whether the browser can hand a PDF to other apps
+ * @param {File} file - Generated PDF
+ * @returns {boolean}
+ */
+function canSharePdf(file) {
+    return typeof navigator.share === 'function' &&
+        typeof navigator.canShare === 'function' &&
+        navigator.canShare({ files: [file] });
+}
+
+/**
+ * Switch the generating modal between progress and the finished PDF actions
+ * @param {boolean} done - Show the share and download actions
+ */
+function showPdfResultActions(done) {
+    const modal = document.getElementById('generating-modal');
+    modal.querySelector('.spinner').classList.toggle('hidden', done);
+    document.getElementById('pdf-cancel').classList.toggle('hidden', done);
+    document.getElementById('pdf-result-actions').classList.toggle('hidden', !done);
+}
+
+/**
+ * Share the generated PDF (WhatsApp, email...); falls back to the download
+ */
+async function sharePdf() {
+    if (!generatedPdf) return;
+
+    try {
+        await navigator.share({ files: [generatedPdf], title: generatedPdf.name });
+        closePdfModal();
+    } catch (error) {
+        // Closing the share sheet is not an error
+        if (isCancelError(error)) return;
+        console.error('Error sharing PDF:', error);
+        showNotification('No se pudo compartir el PDF; se ha descargado');
+        downloadPdf();
+    }
+}
+
+/**
+ * Download the generated PDF
+ */
+function downloadPdf() {
+    if (!generatedPdf) return;
+    downloadBlob(generatedPdf, generatedPdf.name);
+    closePdfModal();
+}
+
+/**
+ * Close the generating modal and drop the generated PDF
+ */
+function closePdfModal() {
+    document.getElementById('generating-modal').classList.add('hidden');
+    showPdfResultActions(false);
+    generatedPdf = null;
+}
+
+/**
+ * Import photos shared to the app from the gallery (manifest share_target)
+ * The service worker stores them and opens the app with ?shared=1.
+ */
+async function importSharedFiles() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has(SHARE_PARAM) || !('caches' in window)) return;
+
+    // A reload must not import the same files again
+    params.delete(SHARE_PARAM);
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+
+    try {
+        const cache = await caches.open(SHARE_CACHE);
+        const requests = await cache.keys();
+        const files = [];
+        for (const request of requests) {
+            const response = await cache.match(request);
+            const name = decodeURIComponent(response.headers.get('X-File-Name') || 'foto.jpg');
+            const blob = await response.blob();
+            files.push(new File([blob], name, { type: blob.type }));
+        }
+        await caches.delete(SHARE_CACHE);
+
+        if (files.length > 0) {
+            await handleFiles(files);
+        }
+    } catch (error) {
+        console.error('Error importing shared files:', error);
+        alert('No se pudieron importar las fotografías compartidas.');
+    }
+}
+
 // ================================
 // App Actions
 // ================================
@@ -1166,18 +7524,35 @@ function resetApp() {
         if (!confirmReset) return;
     }
 
+    resetSession();
+}
+
+/**
+ * Close the open report without asking and go back to the upload screen
+ */
+function resetSession() {
     for (const photo of state.photos) {
         URL.revokeObjectURL(photo.objectUrl);
     }
 
+    clearDraft();
+
+    state.reportId = null;
     state.photos = [];
     state.groups = {};
-    state.processedFiles.clear();
+    state.customGroups = [];
+    state.groupDescriptions = {};
+    state.groupLocations = {};
+    state.customFieldValues = {};
+    state.compression = DEFAULT_COMPRESSION_PROFILE;
 
     document.getElementById('report-title').value = 'REPORTE DE FOTOS';
     document.getElementById('report-code').value = '';
     document.getElementById('report-author').value = '';
     document.getElementById('report-date').value = new Date().toISOString().split('T')[0];
+    document.getElementById('report-layout').value = DEFAULT_PDF_LAYOUT;
+    document.getElementById('report-compression').value = DEFAULT_COMPRESSION_PROFILE;
+    renderCustomFields();
 
     document.getElementById('file-input').value = '';
     document.getElementById('additional-files').value = '';
@@ -0,0 +1,33 @@
+/**
+ * Photo Report Application
+ * Compression Worker - resizes and re-encodes images off the main thread
+ *
+ * Message in:  { id, blob, quality, maxSize }
+ * Message out: { id, blob } or { id, error }
+ */
+
+self.onmessage = async (event) => {
+    const { id, blob, quality, maxSize } = event.data;
+
+    try {
+        // Decoding applies the EXIF orientation, like Compressor does on the main thread
+        const bitmap = await createImageBitmap(blob);
+        const scale = maxSize ? Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height)) : 1;
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        // JPEG has no transparency: transparent areas of PNGs become white
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        const result = await canvas.convertToBlob({ type: 'image/jpeg', quality: quality });
+        self.postMessage({ id: id, blob: result });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message || String(error) });
+    }
+};
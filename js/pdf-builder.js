@@ -0,0 +1,820 @@
+/**
+ * Photo Report Application
+ * PDF Builder - lays out the report PDF with jsPDF
+ *
+ * Shared by the PDF worker and, where workers are not available, the main thread.
+ * Works only on the job passed in: no DOM, no IndexedDB, no app state.
+ */
+
+/**
+ * Build the report PDF
+ * @param {Object} job - Everything the PDF shows, prepared by the app:
+ *   { layout, title, code, author, date, photoCount, branding: { primaryColor, cover, footerText },
+ *     logos: [dataUrl], fieldEntries: [{ label, value }],
+ *     compliance: [{ name, checklistName, slots: [{ name, filled }] }] (empty: no compliance page),
+ *     map: { land, provinceBoundaries, overview: { bounds, land }, attribution } | null,
+ *     groups: [{ name, description, location: { latitude, longitude, label, url, place } | null,
+ *       photos: [{ originalName, slot, caption, status, metadataLines, image: Blob }] }] }
+ *   Groups with a location are plotted on a map page after the index, over the basemap in job.map
+ *   (rings and lines of [longitude, latitude] points) or, without one, on a plain coordinate grid.
+ * @param {Function} onProgress - Called with (percent, status text)
+ * @param {Function} [isCancelled] - Checked between rows; when it returns true the build stops
+ * @returns {Promise<Object>} - { pdf: ArrayBuffer, photoCount }
+ */
+async function buildReportPdf(job, onProgress, isCancelled = () => false) {
+    const pdfLayout = job.layout;
+    const { jsPDF } = self.jspdf;
+    const doc = new jsPDF({
+        orientation: pdfLayout.orientation,
+        unit: 'mm',
+        format: 'a4',
+        // Hundredths of a point; the default 16 decimals make the map's paths several times larger
+        floatPrecision: 2
+    });
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const isLandscape = pdfLayout.orientation === 'landscape';
+    const margin = 15;
+    const contentWidth = pageWidth - (margin * 2);
+    let currentY = margin;
+    let currentPage = 1;
+
+    const addFooterAndWatermark = (pageNum, total, includeWatermark = true) => {
+        doc.setFontSize(10);
+        doc.setTextColor(100, 116, 139);
+        doc.setFont('helvetica', 'normal');
+        doc.text(`Página ${pageNum} de ${total}`, pageWidth - margin, pageHeight - 10, { align: 'right' });
+    };
+
+    const addPage = () => {
+        doc.addPage();
+        currentY = margin;
+        currentPage++;
+    };
+
+    const checkPageBreak = (requiredHeight) => {
+        const availableSpace = pageHeight - margin - 20;
+
+        if (currentY + requiredHeight > availableSpace) {
+            addPage();
+            return true;
+        }
+        return false;
+    };
+
+    // One line of text cut to width, with an ellipsis when something was left out (uses the current font)
+    const fitText = (text, width) => {
+        if (doc.getTextWidth(text) <= width) {
+            return text;
+        }
+        return doc.splitTextToSize(text, width - doc.getTextWidth('…'))[0].trimEnd() + '…';
+    };
+
+    // Caption under a photo: wrapped name, status tag, comment and EXIF metadata
+    const layoutPhotoCaption = (photo, width) => {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        const nameLines = doc.splitTextToSize(photo.slot ? `${photo.slot} · ${photo.originalName}` : photo.originalName, width);
+        doc.setFontSize(8);
+        const captionLines = photo.caption ? doc.splitTextToSize(photo.caption.trim(), width) : [];
+        const metadataLines = photo.metadataLines;
+        const status = photo.status;
+
+        const height = nameLines.length * 3 +
+            (status ? 5 : 0) +
+            captionLines.length * 3.5 +
+            metadataLines.length * 3;
+
+        return { nameLines, captionLines, metadataLines, status, height };
+    };
+
+    const measurePhotoRow = (rowPhotos) => {
+        const captionHeight = Math.max(0, ...rowPhotos.map(photo => layoutPhotoCaption(photo, photoWidth).height));
+        return photoHeight + 2 + captionHeight + rowGap;
+    };
+
+    // Fit an image inside its cell keeping the real aspect ratio
+    const fitImageInCell = (imageData, cellWidth, cellHeight) => {
+        const props = doc.getImageProperties(imageData);
+        const scale = Math.min(cellWidth / props.width, cellHeight / props.height);
+        const width = props.width * scale;
+        const height = props.height * scale;
+        return {
+            width: width,
+            height: height,
+            offsetX: (cellWidth - width) / 2,
+            offsetY: (cellHeight - height) / 2
+        };
+    };
+
+    const drawPhotoCaption = (photo, x, y, width) => {
+        const layout = layoutPhotoCaption(photo, width);
+        const centerX = x + width / 2;
+        let lineY = y + 2;
+
+        doc.setFontSize(7);
+        doc.setTextColor(100, 116, 139);
+        doc.text(layout.nameLines, centerX, lineY, { align: 'center' });
+        lineY += layout.nameLines.length * 3;
+
+        if (layout.status) {
+            doc.setFontSize(6);
+            doc.setFont('helvetica', 'bold');
+            const label = layout.status.label.toUpperCase();
+            const tagWidth = doc.getTextWidth(label) + 4;
+            doc.setFillColor(...layout.status.color);
+            doc.roundedRect(centerX - tagWidth / 2, lineY - 1.5, tagWidth, 4, 1, 1, 'F');
+            doc.setTextColor(255, 255, 255);
+            doc.text(label, centerX, lineY + 1.4, { align: 'center' });
+            doc.setFont('helvetica', 'normal');
+            lineY += 5;
+        }
+
+        if (layout.captionLines.length > 0) {
+            doc.setFontSize(8);
+            doc.setTextColor(30, 41, 59);
+            doc.text(layout.captionLines, centerX, lineY + 0.5, { align: 'center', lineHeightFactor: 1.25 });
+            lineY += layout.captionLines.length * 3.5;
+        }
+
+        if (layout.metadataLines.length > 0) {
+            doc.setFontSize(6);
+            doc.setTextColor(148, 163, 184);
+            doc.text(layout.metadataLines, centerX, lineY, { align: 'center', lineHeightFactor: 1.4 });
+        }
+    };
+
+    // Largest 1, 2 or 5 × 10^n step not above a value (map grid and scale bar)
+    const niceStep = (value) => {
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const fraction = value / power;
+        return (fraction >= 5 ? 5 : fraction >= 2 ? 2 : 1) * power;
+    };
+
+    const branding = job.branding;
+    const primaryColor = branding.primaryColor;
+    const logos = job.logos;
+
+    // ================================
+    // COVER PAGE
+    // ================================
+    onProgress(10, 'Creando portada...');
+
+    const reportTitle = job.title;
+    const reportCode = job.code;
+    const reportAuthor = job.author;
+    const reportDate = job.date;
+
+    const coverLogoHeight = 35;
+    const logoY = isLandscape ? 25 : 50;
+
+    // Spread the branding's logos evenly across the page width
+    if (logos.length > 0) {
+        const logoSlotWidth = Math.min(60, (pageWidth - 60 - (logos.length - 1) * 10) / logos.length);
+        const logoSpacing = logos.length > 1 ? (pageWidth - 60 - logoSlotWidth) / (logos.length - 1) : 0;
+
+        logos.forEach((logo, index) => {
+            const slotX = logos.length > 1 ? 30 + index * logoSpacing : (pageWidth - logoSlotWidth) / 2;
+            try {
+                const fit = fitImageInCell(logo, logoSlotWidth, coverLogoHeight);
+                doc.addImage(logo, 'PNG', slotX + fit.offsetX, logoY + fit.offsetY, fit.width, fit.height, undefined, 'FAST');
+            } catch (logoError) {
+                console.error('Error adding logo:', logoError);
+            }
+        });
+    }
+
+    currentY = logoY + coverLogoHeight + 20;
+
+    doc.setFontSize(28);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...primaryColor);
+
+    const titleLines = doc.splitTextToSize(reportTitle, contentWidth);
+    doc.text(titleLines, pageWidth / 2, currentY, { align: 'center' });
+    currentY += titleLines.length * 12 + 15;
+
+    if (branding.cover.subtitle) {
+        doc.setFontSize(14);
+        doc.setTextColor(30, 41, 59);
+        doc.setFont('helvetica', 'normal');
+        doc.text(branding.cover.subtitle, pageWidth / 2, currentY - 6, { align: 'center' });
+        currentY += 6;
+    }
+
+    if (reportCode && branding.cover.showCode) {
+        doc.setFontSize(18);
+        doc.setTextColor(100, 116, 139);
+        doc.setFont('helvetica', 'normal');
+        doc.text(`Referencia: ${reportCode}`, pageWidth / 2, currentY, { align: 'center' });
+        currentY += 15;
+    }
+
+    doc.setDrawColor(...primaryColor);
+    doc.setLineWidth(0.5);
+    doc.line(margin + 20, currentY, pageWidth - margin - 20, currentY);
+    currentY += 20;
+
+    doc.setFontSize(14);
+    doc.setTextColor(30, 41, 59);
+
+    if (reportAuthor && branding.cover.showAuthor) {
+        doc.setFont('helvetica', 'normal');
+        doc.text(`Autor: ${reportAuthor}`, margin + 20, currentY);
+        currentY += 10;
+    }
+
+    if (reportDate && branding.cover.showDate) {
+        doc.text(`Fecha: ${reportDate}`, margin + 20, currentY);
+        currentY += 10;
+    }
+
+    if (branding.cover.showTotal) {
+        const totalPhotos = job.photoCount;
+        doc.setFont('helvetica', 'normal');
+        doc.text(`Total de fotografías: ${totalPhotos}`, margin + 20, currentY);
+        currentY += 10;
+    }
+
+    if (branding.footerText) {
+        doc.setFontSize(10);
+        doc.setTextColor(148, 163, 184);
+        doc.setFont('helvetica', 'normal');
+        doc.text(branding.footerText, pageWidth / 2, pageHeight - 40, { align: 'center' });
+    }
+
+    // Custom fields as a two-column table
+    const fieldEntries = job.fieldEntries;
+    if (fieldEntries.length > 0) {
+        const tableX = margin + 20;
+        const tableWidth = contentWidth - 40;
+        const labelWidth = tableWidth * 0.38;
+        currentY += 4;
+
+        fieldEntries.forEach((entry, index) => {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'bold');
+            const labelLines = doc.splitTextToSize(entry.label, labelWidth - 6);
+            doc.setFont('helvetica', 'normal');
+            const valueLines = doc.splitTextToSize(entry.value, tableWidth - labelWidth - 6);
+            const rowHeight = Math.max(labelLines.length, valueLines.length) * 4.5 + 3.5;
+
+            // The table continues on a new page instead of running into the cover footer
+            if (currentY + rowHeight > pageHeight - 50) {
+                addPage();
+            }
+
+            if (index % 2 === 0) {
+                doc.setFillColor(248, 250, 252);
+                doc.rect(tableX, currentY, tableWidth, rowHeight, 'F');
+            }
+            doc.setDrawColor(226, 232, 240);
+            doc.setLineWidth(0.2);
+            doc.line(tableX, currentY + rowHeight, tableX + tableWidth, currentY + rowHeight);
+
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(100, 116, 139);
+            doc.text(labelLines, tableX + 3, currentY + 5.5);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(30, 41, 59);
+            doc.text(valueLines, tableX + labelWidth + 3, currentY + 5.5);
+
+            currentY += rowHeight;
+        });
+    }
+
+    const groups = job.groups;
+
+    // ================================
+    // INDEX PAGES - reserved now, filled once group pages are known
+    // ================================
+    const indexRowHeight = 7;
+    const indexTitleHeight = 22;
+    const indexRowsPerPage = Math.floor((pageHeight - margin - 20 - (margin + indexTitleHeight)) / indexRowHeight);
+    const indexPageCount = Math.max(1, Math.ceil(groups.length / indexRowsPerPage));
+
+    addPage();
+    const indexStartPage = currentPage;
+    for (let i = 1; i < indexPageCount; i++) {
+        addPage();
+    }
+
+    // ================================
+    // COMPLIANCE SUMMARY - required photos per group
+    // ================================
+    const compliance = job.compliance || [];
+    let complianceStartPage = null;
+
+    if (compliance.length > 0) {
+        addPage();
+        complianceStartPage = currentPage;
+
+        const completeGroups = compliance.filter(group => group.slots.every(slot => slot.filled)).length;
+        doc.setFontSize(18);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...primaryColor);
+        doc.text('Fotografías obligatorias', margin, margin + 8);
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(100, 116, 139);
+        doc.text(`${completeGroups} de ${compliance.length} grupos completos`, margin, margin + 15);
+        currentY = margin + 22;
+
+        const detailX = margin + contentWidth * 0.5;
+        compliance.forEach((group, index) => {
+            const missing = group.slots.filter(slot => !slot.filled).map(slot => slot.name);
+            const filled = group.slots.length - missing.length;
+
+            doc.setFontSize(9);
+            const detailLines = doc.splitTextToSize(missing.length > 0 ? `Falta: ${missing.join(', ')}` : 'Completo', contentWidth * 0.5 - 3);
+            const rowHeight = detailLines.length * 4 + 3.5;
+            checkPageBreak(rowHeight);
+
+            if (index % 2 === 1) {
+                doc.setFillColor(248, 250, 252);
+                doc.rect(margin, currentY, contentWidth, rowHeight, 'F');
+            }
+
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(30, 41, 59);
+            doc.text(group.name, margin + 3, currentY + 5);
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(100, 116, 139);
+            doc.text(`${group.checklistName} · ${filled}/${group.slots.length}`, margin + contentWidth * 0.25, currentY + 5);
+            doc.setTextColor(...(missing.length > 0 ? [239, 68, 68] : [16, 185, 129]));
+            doc.text(detailLines, detailX, currentY + 5);
+
+            currentY += rowHeight;
+        });
+    }
+
+    // ================================
+    // LOCATION MAP - reserved now, drawn once group pages are known
+    // ================================
+    const locatedGroups = groups.filter(group => group.location);
+    const mapTitleHeight = 22;
+    const mapHeight = Math.min(contentWidth * 0.85, (pageHeight - margin * 2 - 20) * 0.6);
+    const legendRowHeight = 6;
+    const legendTop = margin + mapTitleHeight + mapHeight + 14;
+    const legendRowsFirstPage = Math.floor((pageHeight - margin - 20 - legendTop) / legendRowHeight);
+    const legendRowsPerPage = Math.floor((pageHeight - margin - 20 - (margin + mapTitleHeight)) / legendRowHeight);
+    let mapStartPage = null;
+
+    if (locatedGroups.length > 0) {
+        const overflowRows = Math.max(0, locatedGroups.length - legendRowsFirstPage);
+        const mapPageCount = 1 + Math.ceil(overflowRows / legendRowsPerPage);
+        addPage();
+        mapStartPage = currentPage;
+        for (let i = 1; i < mapPageCount; i++) {
+            addPage();
+        }
+    }
+
+    // ================================
+    // CONTENT PAGES - ALL PHOTOS
+    // ================================
+    addPage();
+
+    onProgress(15, 'Generando contenido...');
+
+    const groupStartPages = {};
+    let processedGroups = 0;
+    let totalPhotosInPDF = 0;
+
+    // Calculate cell dimensions from the selected layout
+    const columns = pdfLayout.columns;
+    const photoGap = columns > 2 ? 6 : 8;
+    const photoWidth = (contentWidth - photoGap * (columns - 1)) / columns;
+    const rowGap = 6;
+
+    // Cells are capped so the layout's rows fit on a page (header + captions included)
+    const usableHeight = pageHeight - margin * 2 - 20 - 18;
+    const photoHeight = Math.min(photoWidth * pdfLayout.cellAspect, usableHeight / pdfLayout.rows - pdfLayout.captionReserve);
+
+    for (const group of groups) {
+        const groupName = group.name;
+        const photos = group.photos;
+
+        // Group header band: name, coordinates (on the right, or on their own line when the name
+        // leaves no room) and optional description
+        doc.setFontSize(14);
+        doc.setFont('helvetica', 'bold');
+        const nameText = fitText(groupName, contentWidth - 10);
+        const nameWidth = doc.getTextWidth(nameText);
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        const locationWidth = group.location ? doc.getTextWidth(group.location.label) : 0;
+        const locationOnOwnLine = group.location && nameWidth + 6 + locationWidth > contentWidth - 10;
+        const locationLineHeight = locationOnOwnLine ? 5 : 0;
+        const description = group.description;
+        const descriptionLines = description ? doc.splitTextToSize(description, contentWidth - 10) : [];
+        const headerHeight = 12 + locationLineHeight + (descriptionLines.length > 0 ? descriptionLines.length * 4 + 2 : 0);
+
+        // Keep the header on the same page as the first row of photos
+        const firstRowHeight = measurePhotoRow(photos.slice(0, columns));
+        checkPageBreak(headerHeight + 6 + firstRowHeight);
+
+        groupStartPages[groupName] = currentPage;
+
+        doc.setFillColor(...primaryColor);
+        doc.rect(margin, currentY, contentWidth, headerHeight, 'F');
+
+        doc.setFontSize(14);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(255, 255, 255);
+        doc.text(nameText, margin + 5, currentY + 8);
+
+        // The coordinates open the position in a maps app
+        if (group.location) {
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'normal');
+            const locationX = locationOnOwnLine ? margin + 5 : margin + contentWidth - 5 - locationWidth;
+            const locationY = currentY + (locationOnOwnLine ? 13 : 8);
+            doc.text(group.location.label, locationX, locationY);
+            doc.setDrawColor(255, 255, 255);
+            doc.setLineWidth(0.2);
+            doc.line(locationX, locationY + 0.8, locationX + locationWidth, locationY + 0.8);
+            doc.link(locationX, locationY - 3.5, locationWidth, 5, { url: group.location.url });
+        }
+
+        if (descriptionLines.length > 0) {
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'normal');
+            doc.text(descriptionLines, margin + 5, currentY + 14 + locationLineHeight);
+        }
+        currentY += headerHeight + 6;
+
+        // Process ALL photos in the group - NO LIMIT, one row at a time
+        for (let i = 0; i < photos.length; i += columns) {
+            const rowPhotos = photos.slice(i, i + columns);
+            const rowHeight = measurePhotoRow(rowPhotos);
+
+            // Check for page break BEFORE drawing
+            checkPageBreak(rowHeight);
+
+            for (const [col, photo] of rowPhotos.entries()) {
+                const photoX = margin + (col * (photoWidth + photoGap));
+
+                // Images arrive as Blobs; jsPDF embeds the JPEG bytes as they are
+                if (!photo.image) continue;
+
+                try {
+                    const imageData = new Uint8Array(await photo.image.arrayBuffer());
+                    const fit = fitImageInCell(imageData, photoWidth, photoHeight);
+                    doc.addImage(imageData, 'JPEG', photoX + fit.offsetX, currentY + fit.offsetY, fit.width, fit.height);
+                    drawPhotoCaption(photo, photoX, currentY + photoHeight + 2, photoWidth);
+                    totalPhotosInPDF++;
+                } catch (imgError) {
+                    console.error('Error adding image:', photo.originalName, imgError);
+                }
+            }
+
+            if (isCancelled()) {
+                throw new DOMException('Generación cancelada', 'AbortError');
+            }
+
+            currentY += rowHeight;
+        }
+
+        // Space before the next group
+        currentY += 9;
+
+        processedGroups++;
+        const groupProgress = (processedGroups / groups.length) * 80;
+        onProgress(15 + groupProgress, `Procesando... ${totalPhotosInPDF} fotos`);
+    }
+
+    // ================================
+    // INDEX AND BOOKMARKS
+    // ================================
+    onProgress(95, 'Creando índice...');
+
+    let indexPage = indexStartPage - 1;
+    groups.forEach((group, index) => {
+        const groupName = group.name;
+        const row = index % indexRowsPerPage;
+
+        if (row === 0) {
+            indexPage++;
+            doc.setPage(indexPage);
+            doc.setFontSize(18);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(...primaryColor);
+            doc.text(index === 0 ? 'Índice' : 'Índice (cont.)', margin, margin + 8);
+
+            doc.setFontSize(9);
+            doc.setTextColor(100, 116, 139);
+            doc.text('Grupo', margin + 3, margin + indexTitleHeight - 3);
+            doc.text('Fotografías', margin + contentWidth * 0.6, margin + indexTitleHeight - 3, { align: 'right' });
+            doc.text('Página', margin + contentWidth - 3, margin + indexTitleHeight - 3, { align: 'right' });
+            doc.setDrawColor(...primaryColor);
+            doc.setLineWidth(0.4);
+            doc.line(margin, margin + indexTitleHeight - 1.5, margin + contentWidth, margin + indexTitleHeight - 1.5);
+        }
+
+        const rowY = margin + indexTitleHeight + row * indexRowHeight;
+        const targetPage = groupStartPages[groupName];
+        const photoCount = group.photos.length;
+
+        if (row % 2 === 1) {
+            doc.setFillColor(248, 250, 252);
+            doc.rect(margin, rowY, contentWidth, indexRowHeight, 'F');
+        }
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 41, 59);
+        doc.text(fitText(groupName, contentWidth * 0.6 - 15), margin + 3, rowY + 4.8);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(100, 116, 139);
+        doc.text(String(photoCount), margin + contentWidth * 0.6, rowY + 4.8, { align: 'right' });
+        doc.setTextColor(...primaryColor);
+        doc.text(String(targetPage), margin + contentWidth - 3, rowY + 4.8, { align: 'right' });
+
+        // The whole row jumps to the group's first page
+        doc.link(margin, rowY, contentWidth, indexRowHeight, { pageNumber: targetPage });
+    });
+
+    // ================================
+    // LOCATION MAP - group positions over the basemap
+    // ================================
+    if (mapStartPage) {
+        onProgress(96, 'Dibujando mapa...');
+
+        const frameX = margin;
+        const frameY = margin + mapTitleHeight;
+        const frameWidth = contentWidth;
+        // Keeps the outermost markers clear of the scale bar and north arrow
+        const framePadding = 15;
+
+        // Equirectangular projection around the centre: fine at the scale of a work area
+        const latitudes = locatedGroups.map(group => group.location.latitude);
+        const longitudes = locatedGroups.map(group => group.location.longitude);
+        const centerLatitude = (Math.min(...latitudes) + Math.max(...latitudes)) / 2;
+        const centerLongitude = (Math.min(...longitudes) + Math.max(...longitudes)) / 2;
+        const longitudeFactor = Math.cos(centerLatitude * Math.PI / 180);
+        // A single group, or groups a few metres apart, still get about 200 m of surroundings
+        const minSpan = 0.002;
+        const spanY = Math.max(Math.max(...latitudes) - Math.min(...latitudes), minSpan);
+        const spanX = Math.max((Math.max(...longitudes) - Math.min(...longitudes)) * longitudeFactor, minSpan);
+        // Millimetres per degree of latitude
+        const scale = Math.min((frameWidth - framePadding * 2) / spanX, (mapHeight - framePadding * 2) / spanY);
+        const toX = longitude => frameX + frameWidth / 2 + (longitude - centerLongitude) * longitudeFactor * scale;
+        const toY = latitude => frameY + mapHeight / 2 - (latitude - centerLatitude) * scale;
+
+        doc.setPage(mapStartPage);
+        doc.setFontSize(18);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...primaryColor);
+        doc.text('Mapa de ubicaciones', margin, margin + 8);
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(100, 116, 139);
+        const basemap = job.map;
+        doc.text(`${locatedGroups.length} de ${groups.length} grupos con ubicación${basemap ? '' : ' · esquema de posiciones relativas'}`, margin, margin + 15);
+
+        // Draw a ring or line of [longitude, latitude] points with a projection
+        const drawMapPath = (points, projectX, projectY, style, closed) => {
+            if (points.length < 2) return;
+            const projected = points.map(([longitude, latitude]) => [projectX(longitude), projectY(latitude)]);
+            const deltas = projected.slice(1).map((point, index) => [point[0] - projected[index][0], point[1] - projected[index][1]]);
+            doc.lines(deltas, projected[0][0], projected[0][1], [1, 1], style, closed);
+        };
+        // Everything drawn until restoreGraphicsState stays inside the rectangle
+        const clipTo = (x, y, width, height) => {
+            doc.saveGraphicsState();
+            doc.rect(x, y, width, height, null);
+            doc.clip();
+            doc.discardPath();
+        };
+
+        // Sea and land outside the data in blue-grey, land in white
+        if (basemap) {
+            doc.setFillColor(226, 235, 243);
+        } else {
+            doc.setFillColor(248, 250, 252);
+        }
+        doc.setDrawColor(203, 213, 225);
+        doc.setLineWidth(0.3);
+        doc.rect(frameX, frameY, frameWidth, mapHeight, 'FD');
+
+        clipTo(frameX, frameY, frameWidth, mapHeight);
+        if (basemap) {
+            // Each area with its outline: municipal boundaries and coast in one pass
+            doc.setFillColor(255, 255, 255);
+            doc.setDrawColor(203, 213, 225);
+            doc.setLineWidth(0.15);
+            basemap.land.forEach(ring => drawMapPath(ring, toX, toY, 'FD', true));
+            doc.setDrawColor(148, 163, 184);
+            doc.setLineWidth(0.35);
+            basemap.provinceBoundaries.forEach(line => drawMapPath(line, toX, toY, 'S', false));
+        }
+
+        // Coordinate grid with its values along the top and left edges
+        const halfHeightDegrees = mapHeight / 2 / scale;
+        const halfWidthDegrees = frameWidth / 2 / (scale * longitudeFactor);
+        const gridStep = niceStep(Math.min(halfHeightDegrees, halfWidthDegrees) * 2 / 3);
+        const gridDecimals = Math.max(0, Math.ceil(-Math.log10(gridStep)));
+        doc.setDrawColor(226, 232, 240);
+        doc.setLineWidth(0.1);
+        doc.setFontSize(6);
+        doc.setTextColor(148, 163, 184);
+
+        const firstLatitude = Math.ceil((centerLatitude - halfHeightDegrees) / gridStep) * gridStep;
+        for (let latitude = firstLatitude; latitude <= centerLatitude + halfHeightDegrees; latitude += gridStep) {
+            const y = toY(latitude);
+            doc.line(frameX, y, frameX + frameWidth, y);
+            doc.text(latitude.toFixed(gridDecimals), frameX + 1, y - 0.8);
+        }
+        const firstLongitude = Math.ceil((centerLongitude - halfWidthDegrees) / gridStep) * gridStep;
+        for (let longitude = firstLongitude; longitude <= centerLongitude + halfWidthDegrees; longitude += gridStep) {
+            const x = toX(longitude);
+            doc.line(x, frameY, x, frameY + mapHeight);
+            doc.text(longitude.toFixed(gridDecimals), x + 0.8, frameY + 3);
+        }
+        doc.restoreGraphicsState();
+
+        if (basemap) {
+            // The basemap covers the grid lines on the frame edges
+            doc.setDrawColor(203, 213, 225);
+            doc.setLineWidth(0.3);
+            doc.rect(frameX, frameY, frameWidth, mapHeight, 'S');
+
+            // Overview of the country in the bottom-right corner with the area shown,
+            // left out when the map already shows most of it
+            const overview = basemap.overview.bounds;
+            const overviewFactor = Math.cos((overview.north + overview.south) / 2 * Math.PI / 180);
+            const overviewSpanX = (overview.east - overview.west) * overviewFactor;
+            const overviewSpanY = overview.north - overview.south;
+            const insetScale = Math.min(frameWidth * 0.22 / overviewSpanX, mapHeight * 0.35 / overviewSpanY);
+            const insetWidth = overviewSpanX * insetScale;
+            const insetHeight = overviewSpanY * insetScale;
+            // At least a small box: the area of a work is a dot at this scale
+            const viewWidth = Math.max(halfWidthDegrees * 2 * overviewFactor * insetScale, 1.5);
+            const viewHeight = Math.max(halfHeightDegrees * 2 * insetScale, 1.5);
+
+            if (viewWidth <= insetWidth / 2 && viewHeight <= insetHeight / 2) {
+                const insetX = frameX + frameWidth - insetWidth - 3;
+                const insetY = frameY + mapHeight - insetHeight - 6;
+                const toInsetX = longitude => insetX + (longitude - overview.west) * overviewFactor * insetScale;
+                const toInsetY = latitude => insetY + (overview.north - latitude) * insetScale;
+
+                doc.setFillColor(226, 235, 243);
+                doc.setDrawColor(148, 163, 184);
+                doc.setLineWidth(0.3);
+                doc.rect(insetX, insetY, insetWidth, insetHeight, 'FD');
+                clipTo(insetX, insetY, insetWidth, insetHeight);
+                doc.setFillColor(255, 255, 255);
+                doc.setLineWidth(0.1);
+                basemap.overview.land.forEach(ring => drawMapPath(ring, toInsetX, toInsetY, 'FD', true));
+                doc.setDrawColor(...primaryColor);
+                doc.setLineWidth(0.4);
+                doc.rect(toInsetX(centerLongitude) - viewWidth / 2, toInsetY(centerLatitude) - viewHeight / 2, viewWidth, viewHeight, 'S');
+                doc.restoreGraphicsState();
+            }
+
+            doc.setFontSize(5.5);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(100, 116, 139);
+            doc.text(basemap.attribution, frameX + frameWidth - 3, frameY + mapHeight - 2, { align: 'right' });
+        }
+
+        // North arrow
+        const northX = frameX + frameWidth - 8;
+        const northY = frameY + 7;
+        doc.setFillColor(30, 41, 59);
+        doc.triangle(northX, northY, northX - 2, northY + 6, northX + 2, northY + 6, 'F');
+        doc.setFontSize(7);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(30, 41, 59);
+        doc.text('N', northX, northY - 1, { align: 'center' });
+
+        // Scale bar, about a quarter of the frame
+        const metresPerMm = 111320 / scale;
+        const scaleMetres = niceStep(metresPerMm * frameWidth / 4);
+        const scaleLength = scaleMetres / metresPerMm;
+        const scaleX = frameX + 5;
+        const scaleY = frameY + mapHeight - 5;
+        doc.setDrawColor(30, 41, 59);
+        doc.setLineWidth(0.4);
+        doc.line(scaleX, scaleY, scaleX + scaleLength, scaleY);
+        doc.line(scaleX, scaleY - 1.2, scaleX, scaleY + 0.2);
+        doc.line(scaleX + scaleLength, scaleY - 1.2, scaleX + scaleLength, scaleY + 0.2);
+        doc.setFont('helvetica', 'normal');
+        doc.text(scaleMetres >= 1000 ? `${scaleMetres / 1000} km` : `${scaleMetres} m`, scaleX + scaleLength / 2, scaleY - 1.8, { align: 'center' });
+
+        // Numbered markers; each one jumps to its group
+        locatedGroups.forEach((group, index) => {
+            const x = toX(group.location.longitude);
+            const y = toY(group.location.latitude);
+
+            doc.setFillColor(...primaryColor);
+            doc.setDrawColor(255, 255, 255);
+            doc.setLineWidth(0.4);
+            doc.circle(x, y, 2.5, 'FD');
+            doc.setFontSize(6);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(255, 255, 255);
+            doc.text(String(index + 1), x, y + 0.8, { align: 'center' });
+            // Names that would leave the frame go on the left of the marker
+            doc.setFontSize(7);
+            doc.setTextColor(30, 41, 59);
+            if (x + 3.5 + doc.getTextWidth(group.name) > frameX + frameWidth - 2) {
+                doc.text(group.name, x - 3.5, y + 1, { align: 'right' });
+            } else {
+                doc.text(group.name, x + 3.5, y + 1);
+            }
+
+            doc.link(x - 2.5, y - 2.5, 5, 5, { pageNumber: groupStartPages[group.name] });
+        });
+
+        // Legend: number, group, municipality (with a basemap), coordinates (maps link) and page
+        let legendPage = mapStartPage;
+        let legendY = legendTop;
+        const placeX = margin + contentWidth * 0.4;
+        const coordinatesX = margin + contentWidth * (basemap ? 0.62 : 0.45);
+        const drawLegendHeader = () => {
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(100, 116, 139);
+            doc.text('Grupo', margin + 10, legendY - 3);
+            if (basemap) {
+                doc.text('Municipio', placeX, legendY - 3);
+            }
+            doc.text('Coordenadas', coordinatesX, legendY - 3);
+            doc.text('Página', margin + contentWidth - 3, legendY - 3, { align: 'right' });
+            doc.setDrawColor(...primaryColor);
+            doc.setLineWidth(0.4);
+            doc.line(margin, legendY - 1.5, margin + contentWidth, legendY - 1.5);
+        };
+        drawLegendHeader();
+
+        locatedGroups.forEach((group, index) => {
+            if (legendY + legendRowHeight > pageHeight - margin - 20) {
+                legendPage++;
+                doc.setPage(legendPage);
+                doc.setFontSize(18);
+                doc.setFont('helvetica', 'bold');
+                doc.setTextColor(...primaryColor);
+                doc.text('Mapa de ubicaciones (cont.)', margin, margin + 8);
+                legendY = margin + mapTitleHeight;
+                drawLegendHeader();
+            }
+
+            const targetPage = groupStartPages[group.name];
+            if (index % 2 === 1) {
+                doc.setFillColor(248, 250, 252);
+                doc.rect(margin, legendY, contentWidth, legendRowHeight, 'F');
+            }
+
+            doc.setFontSize(9);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(...primaryColor);
+            doc.text(String(index + 1), margin + 3, legendY + 4.2);
+            doc.setTextColor(30, 41, 59);
+            doc.text(fitText(group.name, (basemap ? placeX : coordinatesX) - margin - 13), margin + 10, legendY + 4.2);
+            doc.setFont('helvetica', 'normal');
+            if (basemap) {
+                doc.setTextColor(30, 41, 59);
+                doc.text(fitText(group.location.place || '—', coordinatesX - placeX - 3), placeX, legendY + 4.2);
+            }
+            doc.setTextColor(...primaryColor);
+            doc.text(group.location.label, coordinatesX, legendY + 4.2);
+            doc.link(coordinatesX, legendY, doc.getTextWidth(group.location.label), legendRowHeight, { url: group.location.url });
+            doc.text(String(targetPage), margin + contentWidth - 3, legendY + 4.2, { align: 'right' });
+            doc.link(margin + contentWidth * 0.8, legendY, contentWidth * 0.2, legendRowHeight, { pageNumber: targetPage });
+
+            legendY += legendRowHeight;
+        });
+    }
+
+    doc.outline.add(null, 'Portada', { pageNumber: 1 });
+    doc.outline.add(null, 'Índice', { pageNumber: indexStartPage });
+    if (complianceStartPage) {
+        doc.outline.add(null, 'Fotografías obligatorias', { pageNumber: complianceStartPage });
+    }
+    if (mapStartPage) {
+        doc.outline.add(null, 'Mapa de ubicaciones', { pageNumber: mapStartPage });
+    }
+    groups.forEach(group => {
+        doc.outline.add(null, `${group.name} (${group.photos.length})`, { pageNumber: groupStartPages[group.name] });
+    });
+    doc.setDisplayMode('fullwidth', 'continuous', 'UseOutlines');
+
+    // ================================
+    // ADD FOOTERS TO ALL PAGES
+    // ================================
+    onProgress(98, 'Finalizando...');
+
+    const totalPages = doc.internal.getNumberOfPages();
+
+    for (let i = 1; i <= totalPages; i++) {
+        doc.setPage(i);
+        addFooterAndWatermark(i, totalPages, i > 1);
+    }
+
+    return { pdf: doc.output('arraybuffer'), photoCount: totalPhotosInPDF };
+}
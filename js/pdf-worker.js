@@ -0,0 +1,25 @@
+/**
+ * Photo Report Application
+ * PDF Worker - builds the report PDF off the main thread
+ *
+ * Message in:   { job } (see buildReportPdf in pdf-builder.js)
+ * Messages out: { type: 'progress', percent, text }
+ *               { type: 'done', pdf, photoCount } - pdf is an ArrayBuffer, transferred
+ *               { type: 'error', message }
+ * Cancelling is done by terminating the worker.
+ */
+
+importScripts('../libs/jspdf.umd.min.js', 'pdf-builder.js');
+
+self.onmessage = async (event) => {
+    const onProgress = (percent, text) => {
+        self.postMessage({ type: 'progress', percent: percent, text: text });
+    };
+
+    try {
+        const result = await buildReportPdf(event.data.job, onProgress);
+        self.postMessage({ type: 'done', pdf: result.pdf, photoCount: result.photoCount }, [result.pdf]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
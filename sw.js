@@ -1,33 +1,144 @@
 // Service Worker for Photo Report App
-const CACHE_NAME = 'photo-report-v1';
+
+// Bump CACHE_VERSION on every deploy: the changed worker installs next to the running one,
+// the page offers the update and the previous cache is removed once it takes over
+const CACHE_VERSION = '2026-10-19.23';
+const CACHE_PREFIX = 'photo-report-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// App shell served to navigations that are not cached when the network is down
+const OFFLINE_URL = './index.html';
+
+// Photos shared from other apps (manifest share_target) wait here until the page imports them;
+// the name is outside CACHE_PREFIX so version cleanup leaves it alone
+const SHARE_TARGET_PATH = '/share-target';
+const SHARE_CACHE = 'shared-files';
+
+// Image decoders (heic2any, pako, UTIF) and the PDF map's basemap are left out: they are
+// fetched the first time they are needed and cacheFirst keeps them from then on
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './manifest.json',
+    './css/style.css',
+    './js/app.js',
+    './js/pdf-builder.js',
+    './js/pdf-worker.js',
+    './js/compress-worker.js',
+    './libs/jspdf.umd.min.js',
+    './libs/compressor.min.js',
+    './libs/jszip.min.js',
+    './assets/logo-elecnor.png',
+    './assets/logo-lyntia.png',
+    './assets/logo-lyntia.jpg',
+    './assets/logo-redes.png'
+];
 
 self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
     event.waitUntil(
         caches.open(CACHE_NAME).then((cache) => {
-            return cache.addAll([
-                './',
-                './index.html',
-                './css/style.css',
-                './js/app.js',
-                './libs/jspdf.umd.min.js',
-                './libs/compressor.min.js',
-                './assets/logo-elecnor.png',
-                './assets/logo-lyntia.png',
-                './assets/logo-redes.png'
-            ]);
+            return cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
         })
     );
-    self.skipWaiting();
+    // No skipWaiting here: the page decides when to switch (update banner)
 });
 
-self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request).then((response) => {
-            return response || fetch(event.request);
-        })
-    );
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
 });
 
 self.addEventListener('activate', (event) => {
-    event.waitUntil(clients.claim());
+    event.waitUntil(
+        caches.keys().then((names) => Promise.all(
+            names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))
+        )).then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname.endsWith(SHARE_TARGET_PATH)) {
+        event.respondWith(receiveSharedFiles(request));
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    // Other origins (web fonts) are left to the browser
+    if (url.origin !== self.location.origin) return;
+
+    event.respondWith(cacheFirst(request));
 });
+
+/**
+ * Pages come from this version's cache so HTML and scripts always match;
+ * query strings are ignored and uncached pages fall back to the app shell when offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return (await cache.match(OFFLINE_URL)) || Response.error();
+    }
+}
+
+/**
+ * Serve from this version's cache; files fetched on demand are added to it
+ * @param {Request} request - Same-origin GET request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Keep the photos shared to the app and open it to import them
+ * @param {Request} request - Share target POST (multipart form with "photos")
+ * @returns {Promise<Response>} - Redirect to the app
+ */
+async function receiveSharedFiles(request) {
+    try {
+        const formData = await request.formData();
+        const files = formData.getAll('photos').filter(file => file instanceof File);
+
+        await caches.delete(SHARE_CACHE);
+        const cache = await caches.open(SHARE_CACHE);
+        // One at a time: the page reads them back in cache order
+        for (const [index, file] of files.entries()) {
+            // The response takes its Content-Type from the file
+            await cache.put(new Request(`./shared/${index}`), new Response(file, {
+                headers: { 'X-File-Name': encodeURIComponent(file.name) }
+            }));
+        }
+    } catch (error) {
+        console.error('Error receiving shared files:', error);
+    }
+
+    return Response.redirect('./index.html?shared=1', 303);
+}
@@ -6,6 +6,92 @@
 const { chromium } = require('playwright');
 const path = require('path');
 
+// ========================================
+// Fixtures
+// ========================================
+
+// 1x1 PNGs for the database migration checks
+const PNG_A = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+const PNG_B = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+/**
+ * Build a TIFF block with camera model, orientation, capture date and GPS position
+ * (40°30' N, 3°45' W, 12.5 m below sea level)
+ * @param {boolean} littleEndian - "II" or "MM" byte order
+ * @returns {Array<number>} - Bytes of the TIFF block
+ */
+function buildTiff(littleEndian) {
+    const view = new DataView(new ArrayBuffer(512));
+    const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8 };
+    let next = 8;
+
+    // Entries are [tag, type, values]; ASCII values are strings, rationals [numerator, denominator] pairs
+    const writeIfd = (entries) => {
+        const start = next;
+        next += 2 + entries.length * 12 + 4;
+        view.setUint16(start, entries.length, littleEndian);
+        entries.forEach(([tag, type, values], index) => {
+            const entry = start + 2 + index * 12;
+            const items = type === 2 ? [...values + '\0'].map(char => char.charCodeAt(0)) : values;
+            const count = type === 5 ? items.length / 2 : items.length;
+            let at = entry + 8;
+            if (typeSizes[type] * count > 4) {
+                at = next;
+                next += typeSizes[type] * count;
+                view.setUint32(entry + 8, at, littleEndian);
+            }
+            view.setUint16(entry, tag, littleEndian);
+            view.setUint16(entry + 2, type, littleEndian);
+            view.setUint32(entry + 4, count, littleEndian);
+            items.forEach((item, i) => {
+                if (type === 1 || type === 2) view.setUint8(at + i, item);
+                if (type === 3) view.setUint16(at + i * 2, item, littleEndian);
+                if (type === 4 || type === 5) view.setUint32(at + i * 4, item, littleEndian);
+            });
+        });
+        return start;
+    };
+
+    const exifIfd = writeIfd([[0x9003, 2, '2024:03:05 10:20:30']]);
+    const gpsIfd = writeIfd([
+        [0x0001, 2, 'N'],
+        [0x0002, 5, [40, 1, 30, 1, 0, 1]],
+        [0x0003, 2, 'W'],
+        [0x0004, 5, [3, 1, 45, 1, 0, 1]],
+        [0x0005, 1, [1]],
+        [0x0006, 5, [25, 2]]
+    ]);
+    const ifd0 = writeIfd([
+        [0x0110, 2, 'Pixel 8  '],
+        [0x0112, 3, [6]],
+        [0x8769, 4, [exifIfd]],
+        [0x8825, 4, [gpsIfd]]
+    ]);
+
+    view.setUint16(0, littleEndian ? 0x4949 : 0x4D4D);
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, ifd0, littleEndian);
+    return [...new Uint8Array(view.buffer, 0, next)];
+}
+
+/**
+ * Wrap a TIFF block the way cameras store it
+ * @param {Array<number>} tiff - TIFF bytes
+ * @returns {Object} - { jpeg, heic } byte arrays
+ */
+function wrapExif(tiff) {
+    const exifHeader = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
+    const app1Length = 2 + exifHeader.length + tiff.length;
+    return {
+        // SOI, a JFIF APP0 segment to skip, then APP1 with the EXIF block
+        jpeg: [0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x06, 0x4A, 0x46, 0x49, 0x46,
+            0xFF, 0xE1, app1Length >> 8, app1Length & 0xFF, ...exifHeader, ...tiff, 0xFF, 0xDA],
+        // An "ftyp" box followed by the EXIF item payload
+        heic: [0x00, 0x00, 0x00, 0x10, 0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63, 0, 0, 0, 0,
+            ...exifHeader, ...tiff]
+    };
+}
+
 async function testApp() {
     console.log('Starting Playwright test...');
 
@@ -139,6 +225,208 @@ async function testApp() {
             }
         }
 
+        // ========================================
+        // Parser, Package and Migration Checks
+        // ========================================
+
+        const failedChecks = [];
+        const reportChecks = (checks) => checks.forEach(([name, passed]) => {
+            console.log(`${passed ? '✓' : '✗'} ${name}`);
+            if (!passed) failedChecks.push(name);
+        });
+
+        // EXIF: both byte orders, HEIC items, bare TIFF files and broken input
+        reportChecks(await page.evaluate(async ({ littleEndian, bigEndian }) => {
+            const expected = { takenAt: '2024-03-05T10:20:30', latitude: 40.5, longitude: -3.75, altitude: -12.5, cameraModel: 'Pixel 8', orientation: 6 };
+            const matches = (exif) => !!exif && Object.entries(expected).every(([key, value]) => exif[key] === value);
+            const viewOf = (bytes) => new DataView(new Uint8Array(bytes).buffer);
+            const truncated = littleEndian.jpeg.slice(0, 40);
+            // Rationals are eight bytes, so the entry holds the offset of the value: four here
+            const rational = (bytes, type) => readIfdValue(viewOf([4, 0, 0, 0, ...bytes]), 0, 0, type, 1, true);
+
+            return [
+                ['EXIF read from a little-endian JPEG', matches(parseExif(viewOf(littleEndian.jpeg)))],
+                ['EXIF read from a big-endian JPEG', matches(parseExif(viewOf(bigEndian.jpeg)))],
+                ['EXIF read from a HEIC item', matches(parseHeifExif(viewOf(littleEndian.heic)))],
+                ['EXIF read from a bare TIFF', matches(parseTiff(viewOf(littleEndian.heic.slice(22)), 0))],
+                ['EXIF read from a File', matches(await readExifData(new File([new Uint8Array(bigEndian.jpeg)], 'IMG_1.jpg', { type: 'image/jpeg' })))],
+                ['No EXIF in a JPEG without APP1', parseExif(viewOf([0xFF, 0xD8, 0xFF, 0xDB, 0x00, 0x04, 0, 0, 0xFF, 0xDA])) === null],
+                ['No EXIF in a non-JPEG', parseExif(viewOf([0x89, 0x50, 0x4E, 0x47])) === null],
+                ['No EXIF in a HEIC without an EXIF item', parseHeifExif(viewOf(littleEndian.heic.slice(0, 16))) === null],
+                ['Truncated EXIF yields no values', (() => { const exif = parseExif(viewOf(truncated)); return !!exif && exif.cameraModel === null && exif.latitude === null; })()],
+                ['Truncated EXIF File yields null', await readExifData(new File([new Uint8Array(littleEndian.jpeg.slice(0, 16))], 'IMG_2.jpg', { type: 'image/jpeg' })) === null],
+                ['Rational value', rational([7, 0, 0, 0, 2, 0, 0, 0], 5) === 3.5],
+                ['Signed rational value', rational([0xF9, 0xFF, 0xFF, 0xFF, 2, 0, 0, 0], 10) === -3.5],
+                ['Zero denominator does not divide by zero', rational([5, 0, 0, 0, 0, 0, 0, 0], 5) === 5],
+                ['Short values stored in the entry', readIfdValue(viewOf([1, 0, 2, 0]), 0, 0, 3, 2, true).join() === '1,2'],
+                ['Unsupported IFD type is skipped', readIfdValue(viewOf([0, 0, 0, 0]), 0, 0, 11, 1, true) === undefined],
+                ['Value offset past the end is skipped', readIfdValue(viewOf([0xFF, 0, 0, 0]), 0, 0, 5, 1, true) === undefined]
+            ];
+        }, { littleEndian: wrapExif(buildTiff(true)), bigEndian: wrapExif(buildTiff(false)) }));
+
+        // Grouping rules: each rule type, rule order, the fallback and patterns that are refused
+        reportChecks(await page.evaluate(() => {
+            const started = Date.now();
+            const catastrophic = applyGroupingRule({ type: 'regex', pattern: '(a+)+$' }, 'a'.repeat(40) + 'b', '');
+            const elapsed = Date.now() - started;
+
+            return [
+                ['Regex rule uses the named group', applyGroupingRule({ type: 'regex', pattern: '^(?<group>[a-z]+-\\d+)' }, 'cr-12_foto', '') === 'CR-12'],
+                ['Regex rule uses the first group', applyGroupingRule({ type: 'regex', pattern: '^(\\w+?)_' }, 'abc_1', '') === 'ABC'],
+                ['Regex rule without groups uses the match', applyGroupingRule({ type: 'regex', pattern: '\\d+' }, 'obra 129 norte', '') === '129'],
+                ['Regex rule that does not match', applyGroupingRule({ type: 'regex', pattern: '^X' }, 'abc', '') === null],
+                ['Invalid regex is ignored', compileGroupingRegex('[') === null && applyGroupingRule({ type: 'regex', pattern: '[' }, 'abc', '') === null],
+                ['Nested quantifiers are refused quickly', compileGroupingRegex('(a+)+$') === null && catastrophic === null && elapsed < 100],
+                ['Overlong regex is refused', compileGroupingRegex('a'.repeat(GROUPING_REGEX_MAX_LENGTH + 1)) === null],
+                ['Regex compiled once per pattern', compileGroupingRegex('^A') === compileGroupingRegex('^A')],
+                ['Separator rule', applyGroupingRule({ type: 'separator', separator: '_' }, 'ab_c_d', '') === 'AB'],
+                ['Separator at the start does not match', applyGroupingRule({ type: 'separator', separator: '_' }, '_abc', '') === null],
+                ['Empty separator does not match', applyGroupingRule({ type: 'separator', separator: '' }, 'a_b', '') === null],
+                ['Folder rule uses the innermost folder', applyGroupingRule({ type: 'folder' }, 'IMG_1', 'Obra/cr129/IMG_1.jpg') === 'CR129'],
+                ['Folder rule without folders', applyGroupingRule({ type: 'folder' }, 'IMG_1', 'IMG_1.jpg') === null],
+                ['First matching rule wins', extractGroupName('AB-1.jpg', '', [{ type: 'regex', pattern: '^Z' }, { type: 'separator', separator: '-' }, { type: 'folder' }]) === 'AB'],
+                ['Alphanumeric prefix without rules', extractGroupName('cr129_1.jpg', '', []) === 'CR129']
+            ];
+        }));
+
+        // Report packages: malformed manifests are refused with a reason
+        reportChecks(await page.evaluate(async () => {
+            await loadScriptOnce(ZIP_SCRIPT);
+            const validManifest = () => ({
+                format: REPORT_PACKAGE_FORMAT,
+                formatVersion: REPORT_PACKAGE_VERSION,
+                report: { id: 'report_1', photos: [{ id: 'photo_1', image: { path: 'images/photo_1.jpg' } }] }
+            });
+            const buildPackage = (manifest, withImage = true) => {
+                const zip = new JSZip();
+                if (manifest !== undefined) {
+                    zip.file(REPORT_PACKAGE_MANIFEST, typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+                }
+                if (withImage) zip.file('images/photo_1.jpg', 'x');
+                return zip;
+            };
+            const refusal = async (zip) => {
+                try {
+                    await readReportPackageManifest(zip);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            };
+            const refusedWith = async (zip, text) => ((await refusal(zip)) || '').includes(text);
+            const branding = sanitizePackageBranding({
+                id: 'branding_1',
+                primaryColor: 'red',
+                logos: [{ name: 'a', src: 'javascript:alert(1)' }, { name: 'b', src: 'data:image/png;base64,AA==' }],
+                fields: [{ id: '../x', label: 'Mal' }, { id: 'obra', label: 'Obra', type: 'script' }]
+            });
+
+            return [
+                ['Valid package manifest is accepted', (await refusal(buildPackage(validManifest()))) === null],
+                ['Package without manifest', await refusedWith(buildPackage(undefined), 'falta el archivo')],
+                ['Package with a damaged manifest', await refusedWith(buildPackage('{"format": '), 'dañado')],
+                ['Package of another format', await refusedWith(buildPackage({ ...validManifest(), format: 'otro' }), 'no es un paquete')],
+                ['Package without format version', await refusedWith(buildPackage({ ...validManifest(), formatVersion: '1' }), 'versión de formato')],
+                ['Package from a newer version', await refusedWith(buildPackage({ ...validManifest(), formatVersion: REPORT_PACKAGE_VERSION + 1 }), 'actualiza la aplicación')],
+                ['Package without report data', await refusedWith(buildPackage({ ...validManifest(), report: { id: 'report_1' } }), 'faltan los datos')],
+                ['Package with a path as photo id', await refusedWith(buildPackage({ ...validManifest(), report: { id: 'report_1', photos: [{ id: '../photo', image: { path: 'images/photo_1.jpg' } }] } }), 'identificadores no válidos')],
+                ['Package with a missing image', await refusedWith(buildPackage(validManifest(), false), 'falta 1 imagen')],
+                ['Package ids', isPackageId('report_1-a') && !isPackageId('../x') && !isPackageId('') && !isPackageId(5)],
+                ['Branding with an invalid id is dropped', sanitizePackageBranding({ id: 'a b' }) === null],
+                ['Branding keeps only safe values', branding.primaryColor === createBranding('x', 'x').primaryColor &&
+                    branding.logos.length === 1 && branding.fields.length === 1 && branding.fields[0].type === 'text']
+            ];
+        }));
+
+        // Group positions typed by hand or read from stored reports
+        reportChecks(await page.evaluate(() => {
+            const same = (location, latitude, longitude) => !!location && location.latitude === latitude && location.longitude === longitude;
+            const locations = sanitizeGroupLocations({
+                A: { latitude: 40.4, longitude: -3.7, extra: 'x' },
+                B: { latitude: '40', longitude: '-3' },
+                C: { latitude: NaN, longitude: 0 },
+                D: null,
+                E: { latitude: 91, longitude: 0 }
+            });
+
+            return [
+                ['Coordinates with a comma', same(parseCoordinates('40.41678, -3.70379'), 40.41678, -3.70379)],
+                ['Coordinates with decimal commas', same(parseCoordinates(' 40,41678; -3,70379 '), 40.41678, -3.70379)],
+                ['Coordinates separated by a space', same(parseCoordinates('40.4 -3.7'), 40.4, -3.7)],
+                ['Coordinates out of range', parseCoordinates('91, 0') === null && parseCoordinates('0, 181') === null],
+                ['Coordinates that are not numbers', parseCoordinates('Madrid') === null && parseCoordinates('') === null && parseCoordinates(null) === null],
+                ['Stored positions are sanitized', Object.keys(locations).join() === 'A' && same(locations.A, 40.4, -3.7) && !('extra' in locations.A)]
+            ];
+        }));
+
+        // Database upgrades: version 6 (base64 images) and version 7 (photos store) to the current one
+        reportChecks(await page.evaluate(async ({ pngA, pngB }) => {
+            const request = (idbRequest) => new Promise((resolve, reject) => {
+                idbRequest.onsuccess = () => resolve(idbRequest.result);
+                idbRequest.onerror = () => reject(idbRequest.error);
+            });
+            const seed = async (version) => {
+                db.close();
+                await request(indexedDB.deleteDatabase(DB_NAME));
+                const open = indexedDB.open(DB_NAME, version);
+                open.onupgradeneeded = () => {
+                    const database = open.result;
+                    const transaction = open.transaction;
+                    database.createObjectStore(STORE_NAME, { keyPath: 'id' }).createIndex('savedAt', 'savedAt');
+                    database.createObjectStore(PROFILES_STORE, { keyPath: 'id' });
+                    database.createObjectStore(BRANDINGS_STORE, { keyPath: 'id' });
+                    database.createObjectStore(VERSIONS_STORE, { keyPath: 'id' }).createIndex('reportId', 'reportId');
+                    database.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
+                    database.createObjectStore(SUMMARIES_STORE, { keyPath: 'id' });
+                    if (version === 6) {
+                        database.createObjectStore(LEGACY_VERSION_IMAGES_STORE, { keyPath: 'key' });
+                        database.createObjectStore(LEGACY_DRAFT_PHOTOS_STORE, { keyPath: 'id' });
+                        transaction.objectStore(STORE_NAME).put({ id: 'r1', savedAt: '2024-01-01', photos: [{ id: 'p1', imageData: pngA, originalImageData: null }] });
+                        transaction.objectStore(VERSIONS_STORE).put({ id: 'v1', reportId: 'r1', report: { id: 'r1', photos: [{ id: 'p1', imageKey: 'vk' }] } });
+                        transaction.objectStore(LEGACY_VERSION_IMAGES_STORE).put({ key: 'vk', data: pngB });
+                        transaction.objectStore(DRAFTS_STORE).put({ id: DRAFT_ID, reportId: null, report: { photos: [{ id: 'p2' }] } });
+                        transaction.objectStore(LEGACY_DRAFT_PHOTOS_STORE).put({ id: 'p2', imageData: pngB, originalImageData: null });
+                    } else {
+                        database.createObjectStore(PHOTOS_STORE, { keyPath: 'key' }).createIndex('reportId', 'reportId');
+                        transaction.objectStore(STORE_NAME).put({ id: 'r1', savedAt: '2024-01-01', photos: [{ id: 'p1', imageKey: 'a', originalImageKey: 'b' }] });
+                        transaction.objectStore(VERSIONS_STORE).put({ id: 'v1', reportId: 'r1', report: { id: 'r1', photos: [{ id: 'p1', imageKey: 'c' }] } });
+                        transaction.objectStore(DRAFTS_STORE).put({ id: DRAFT_ID, reportId: null, report: { photos: [{ id: 'p2', imageKey: 'd' }] } });
+                        ['a', 'b', 'c', 'd', 'orphan'].forEach(key => transaction.objectStore(PHOTOS_STORE).put({ key, reportId: null, blob: new Blob([key]) }));
+                    }
+                };
+                (await request(open)).close();
+                await initDatabase();
+            };
+            const photoKeys = async () => (await request(db.transaction(PHOTOS_STORE).objectStore(PHOTOS_STORE).getAllKeys())).sort();
+
+            await seed(6);
+            const keyA = await hashImageBlob(decodeDataURL(pngA));
+            const keyB = await hashImageBlob(decodeDataURL(pngB));
+            const report = await getReportFromDB('r1');
+            const versions = await getVersionsFromDB('r1');
+            const draft = await getDraftFromDB(DRAFT_ID);
+            const legacyCount = await request(db.transaction(PHOTOS_STORE).objectStore(PHOTOS_STORE).index('legacy').count());
+            await deleteUnreferencedPhotosFromDB();
+            const v6Checks = [
+                ['Version 6 upgrade reaches the current version', db.version === DB_VERSION && !db.objectStoreNames.contains(LEGACY_VERSION_IMAGES_STORE) && !db.objectStoreNames.contains(LEGACY_DRAFT_PHOTOS_STORE)],
+                ['Migrated report image keyed like an import', report.photos[0].imageKey === keyA && !('imageData' in report.photos[0])],
+                ['Migrated version and draft share one image', versions[0].report.photos[0].imageKey === keyB && draft.report.photos[0].imageKey === keyB],
+                ['Migrated images are rekeyed', legacyCount === 0],
+                ['Migrated images survive the cleanup', (await photoKeys()).join() === [keyA, keyB].sort().join()]
+            ];
+
+            await seed(7);
+            await deleteUnreferencedPhotosFromDB();
+            return [
+                ...v6Checks,
+                ['Version 7 upgrade keeps referenced images only', (await photoKeys()).join() === 'a,b,c,d']
+            ];
+        }, { pngA: PNG_A, pngB: PNG_B }));
+
+        if (failedChecks.length > 0) {
+            throw new Error(`${failedChecks.length} check${failedChecks.length !== 1 ? 's' : ''} failed: ${failedChecks.join(', ')}`);
+        }
+
         // ========================================
         // Save/Load Feature Check (no alert should appear)
         // ========================================